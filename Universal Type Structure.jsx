@@ -26,7 +26,7 @@ export default {
         type: 'AnotherType',
         label: 'Field Label',
         // multiple: true, // for nested arrays
-        // embedded: true, // for embedded objects or arrays
+        // embedded: true, // for embedded objects or arrays, remote types are processed inline as items
         features: { // field level configuration for specific systems using the type map
           feature1: {
             configParam1: true,
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Compare the synchronous and the asynchronous processing paths on a list of
+ * items with primitive fields.
+ *
+ * Usage:
+ * `node scripts/benchmark-sync-processor.js [itemCount] [rounds]`
+ * */
+require('resistdesign-babel-register');
+
+var SyncTypeProcessor = require('../src/SyncTypeProcessor');
+
+var args = process.argv.slice(2);
+var itemCount = parseInt(args[0], 10) || 10000;
+var rounds = parseInt(args[1], 10) || 5;
+var typeMap = {
+  String: {
+    primitive: true
+  },
+  Number: {
+    primitive: true
+  },
+  Point: {
+    fields: {
+      x: {
+        type: 'Number'
+      },
+      y: {
+        type: 'Number'
+      },
+      label: {
+        type: 'String'
+      }
+    }
+  },
+  Shape: {
+    fields: {
+      name: {
+        type: 'String'
+      },
+      points: {
+        type: 'Point',
+        multiple: true
+      }
+    }
+  }
+};
+var valueList = [];
+
+for (var i = 0; i < itemCount; i++) {
+  valueList.push({
+    name: 'Shape ' + i,
+    points: [
+      { x: i, y: 0, label: 'a' },
+      { x: 0, y: i, label: 'b' },
+      { x: i, y: i, label: 'c' }
+    ]
+  });
+}
+
+var processor = new SyncTypeProcessor({
+  typeMap: typeMap
+});
+var input = {
+  valueList: valueList,
+  typeName: 'Shape'
+};
+
+var getMilliseconds = function (start) {
+  var diff = process.hrtime(start);
+
+  return diff[0] * 1e3 + diff[1] / 1e6;
+};
+
+var report = function (name, times) {
+  var total = times.reduce(function (acc, t) { return acc + t; }, 0);
+
+  console.log(
+    name + ': ' + (total / times.length).toFixed(2) + 'ms average over ' +
+    times.length + ' rounds of ' + itemCount + ' items'
+  );
+
+  return total / times.length;
+};
+
+var runAsync = function (times) {
+  if (times.length >= rounds) {
+    return Promise.resolve(times);
+  }
+
+  var start = process.hrtime();
+
+  return processor.processValueList(input).then(function () {
+    return runAsync(times.concat(getMilliseconds(start)));
+  });
+};
+
+var syncTimes = [];
+
+for (var r = 0; r < rounds; r++) {
+  var start = process.hrtime();
+
+  processor.processValueListSync(input);
+  syncTimes.push(getMilliseconds(start));
+}
+
+runAsync([])
+  .then(function (asyncTimes) {
+    var syncAverage = report('sync', syncTimes);
+    var asyncAverage = report('async', asyncTimes);
+
+    console.log(
+      'sync is ' + (asyncAverage / syncAverage).toFixed(1) + 'x faster'
+    );
+  })
+  .catch(function (error) {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Write TypeScript declarations for a type map module.
+ *
+ * Usage:
+ * `node scripts/generate-type-declarations.js <typeMapModule> <outputFile> [typeMappingJSON]`
+ * */
+require('resistdesign-babel-register');
+
+var fs = require('fs');
+var path = require('path');
+var AbstractTypeProcessor = require('../src/index');
+
+var args = process.argv.slice(2);
+var typeMapPath = args[0];
+var outputPath = args[1];
+var typeMapping = args[2] ? JSON.parse(args[2]) : {};
+
+if (!typeMapPath || !outputPath) {
+  console.error(
+    'Usage: generate-type-declarations <typeMapModule> <outputFile> ' +
+    '[typeMappingJSON]'
+  );
+  process.exit(1);
+}
+
+var typeMapModule = require(path.resolve(typeMapPath));
+var processor = new AbstractTypeProcessor({
+  typeMap: typeMapModule.default || typeMapModule
+});
+
+processor
+  .toTypeScriptDeclarations({
+    typeMapping: typeMapping
+  })
+  .then(function (declarations) {
+    fs.writeFileSync(path.resolve(outputPath), declarations);
+  })
+  .catch(function (error) {
+    console.error(error);
+    process.exit(1);
+  });
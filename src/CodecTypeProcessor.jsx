@@ -0,0 +1,165 @@
+import AbstractTypeProcessor from './index';
+import {
+  CODEC_DIRECTIONS,
+  COERCION_MODES,
+  PRIMITIVE_CODECS
+} from './Codecs';
+
+/**
+ * A type processor that converts primitive values with named codecs.
+ *
+ * The codec for a primitive type is named by the `codec` type feature, or by
+ * the name of the type. Built in codecs exist for `String`, `Number`,
+ * `Integer`, `Boolean`, `Date`, `DateTime`, `BigInt` and `Base64` bytes.
+ * Primitive types with no codec are processed as usual.
+ *
+ * The `coercion` field feature selects `strict` or `lenient` coercion for the
+ * values of a field.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class CodecTypeProcessor extends AbstractTypeProcessor {
+  static ERROR_MESSAGES = {
+    ...AbstractTypeProcessor.ERROR_MESSAGES,
+    VALUE_NOT_COERCIBLE: 'VALUE_NOT_COERCIBLE',
+    INVALID_CODEC_DIRECTION: 'INVALID_CODEC_DIRECTION'
+  };
+
+  static CODEC_DIRECTIONS = CODEC_DIRECTIONS;
+
+  static COERCION_MODES = COERCION_MODES;
+
+  static PRIMITIVE_CODECS = PRIMITIVE_CODECS;
+
+  /**
+   * Codecs by name, used before `PRIMITIVE_CODECS`. Each codec has a `decode`
+   * and an `encode` function, called with the value, a `strict` flag and the
+   * input. Codecs throw for values they cannot convert.
+   * @member {Object.<string, Object>}
+   * */
+  codecs = {};
+
+  /**
+   * The direction to convert values in, `decode` or `encode`. May be
+   * overridden with `input.direction`.
+   * @member {string}
+   * */
+  direction = CODEC_DIRECTIONS.DECODE;
+
+  /**
+   * The default coercion mode, `strict` or `lenient`. May be overridden with
+   * `input.coercion` and the `coercion` field feature.
+   * @member {string}
+   * */
+  coercion = COERCION_MODES.STRICT;
+
+  /**
+   * The name of the type feature naming the codec of a type.
+   * @member {string}
+   * */
+  codecFeatureName = 'codec';
+
+  /**
+   * The name of the field feature selecting the coercion mode for a field.
+   * @member {string}
+   * */
+  coercionFeatureName = 'coercion';
+
+  /**
+   * Get a codec by name.
+   * @param {string} codecName The name of the codec.
+   * @returns {Object} The codec or `undefined` if none exists.
+   * */
+  getCodec (codecName) {
+    if (this.codecs.hasOwnProperty(codecName)) {
+      return this.codecs[codecName];
+    }
+
+    if (PRIMITIVE_CODECS.hasOwnProperty(codecName)) {
+      return PRIMITIVE_CODECS[codecName];
+    }
+  }
+
+  /**
+   * Get the coercion mode for a value.
+   * @param {Object} input The input for the method.
+   * @param {string} input.parentTypeName The name of the type with the field
+   * containing the value.
+   * @param {string} input.fieldName The name of the field.
+   * @param {string} input.coercion The coercion mode when the field has none.
+   * @returns {string} The coercion mode.
+   * */
+  async getCoercion (input) {
+    const { parentTypeName, fieldName, coercion = this.coercion } = input;
+    const fieldCoercion = typeof parentTypeName === 'undefined'
+      ? undefined
+      : await this.getFieldFeature(
+        parentTypeName,
+        fieldName,
+        this.coercionFeatureName
+      );
+
+    return typeof fieldCoercion === 'undefined' ? coercion : fieldCoercion;
+  }
+
+  /**
+   * Convert a primitive value with the codec of its type.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @param {string} input.direction The direction to convert the value in.
+   * @returns {*} The converted value.
+   * */
+  async processPrimitiveValue (input) {
+    const {
+      value,
+      typeName,
+      direction = this.direction
+    } = input;
+    const {
+      VALUE_NOT_COERCIBLE,
+      INVALID_CODEC_DIRECTION
+    } = CodecTypeProcessor.ERROR_MESSAGES;
+    const codecName = await this.getTypeFeature(
+      typeName,
+      this.codecFeatureName
+    ) || typeName;
+    const codec = this.getCodec(codecName);
+
+    if (!codec || !CodecTypeProcessor.valueExists(value)) {
+      return super.processPrimitiveValue(input);
+    }
+
+    if (
+      direction !== CODEC_DIRECTIONS.DECODE &&
+      direction !== CODEC_DIRECTIONS.ENCODE
+    ) {
+      const directionError = new TypeError(INVALID_CODEC_DIRECTION);
+
+      directionError.direction = direction;
+
+      throw directionError;
+    }
+
+    const coercion = await this.getCoercion(input);
+
+    try {
+      return await codec[direction](
+        value,
+        coercion !== COERCION_MODES.LENIENT,
+        input
+      );
+    } catch (error) {
+      const coercionError = new TypeError(VALUE_NOT_COERCIBLE);
+
+      coercionError.value = value;
+      coercionError.codec = codecName;
+      coercionError.direction = direction;
+      coercionError.coercion = coercion;
+      coercionError.detail = error.message;
+      coercionError.cause = error;
+
+      throw coercionError;
+    }
+  }
+}
@@ -0,0 +1,218 @@
+import expect from 'expect.js';
+import CodecTypeProcessor from './CodecTypeProcessor';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Integer: {
+    primitive: true
+  },
+  Boolean: {
+    primitive: true
+  },
+  DateTime: {
+    primitive: true
+  },
+  BigInt: {
+    primitive: true
+  },
+  Bytes: {
+    primitive: true,
+    features: {
+      codec: 'Base64'
+    }
+  },
+  Upper: {
+    primitive: true
+  },
+  Record: {
+    fields: {
+      name: {
+        type: 'String'
+      },
+      count: {
+        type: 'Integer',
+        features: {
+          coercion: 'lenient'
+        }
+      },
+      active: {
+        type: 'Boolean',
+        features: {
+          coercion: 'lenient'
+        }
+      },
+      createdOn: {
+        type: 'DateTime'
+      },
+      total: {
+        type: 'BigInt'
+      },
+      data: {
+        type: 'Bytes'
+      },
+      code: {
+        type: 'Upper'
+      },
+      scores: {
+        type: 'Integer',
+        multiple: true
+      }
+    }
+  }
+};
+
+let ctp;
+
+const getItemError = async (item, input = {}) => {
+  try {
+    await ctp.processItem({
+      ...input,
+      item,
+      typeName: 'Record'
+    });
+  } catch (error) {
+    return error;
+  }
+};
+
+module.exports = {
+  CodecTypeProcessor: {
+    beforeEach: () => {
+      ctp = new CodecTypeProcessor({
+        typeMap: TYPE_MAP
+      });
+    },
+    'should be a class': () => {
+      expect(CodecTypeProcessor).to.be.a(Function);
+    },
+    'should decode values with the codec of each type': async () => {
+      const record = await ctp.processItem({
+        item: {
+          name: 'Name',
+          count: '3',
+          active: 'true',
+          createdOn: '2020-01-02T03:04:05.000Z',
+          total: '9007199254740993',
+          data: 'AQID',
+          code: 'abc',
+          scores: [1, 2]
+        },
+        typeName: 'Record'
+      });
+
+      expect(record.count).to.equal(3);
+      expect(record.active).to.equal(true);
+      expect(record.createdOn).to.be.a(Date);
+      expect(record.createdOn.getTime()).to.equal(
+        Date.UTC(2020, 0, 2, 3, 4, 5)
+      );
+      expect(record.total).to.equal(BigInt('9007199254740993'));
+      expect(Array.from(record.data)).to.eql([1, 2, 3]);
+      expect(record.code).to.equal('abc');
+      expect(record.scores).to.eql([1, 2]);
+    },
+    'should encode values when the direction is encode': async () => {
+      expect(await ctp.processItem({
+        item: {
+          name: 'Name',
+          createdOn: new Date(Date.UTC(2020, 0, 2)),
+          total: BigInt('12'),
+          data: new Uint8Array([1, 2, 3])
+        },
+        typeName: 'Record',
+        direction: 'encode'
+      })).to.eql({
+        name: 'Name',
+        count: undefined,
+        active: undefined,
+        createdOn: '2020-01-02T00:00:00.000Z',
+        total: '12',
+        data: 'AQID',
+        code: undefined,
+        scores: undefined
+      });
+    },
+    'should reject values strict coercion does not accept': async () => {
+      const error = await getItemError({
+        name: 12,
+        scores: ['1']
+      });
+      const entries = CodecTypeProcessor.flattenError(error);
+
+      expect(entries.map(({ path, code }) => `${path}:${code}`)).to.eql([
+        'name:VALUE_NOT_COERCIBLE',
+        'scores[0]:VALUE_NOT_COERCIBLE'
+      ]);
+      expect(error.fields.name.codec).to.equal('String');
+      expect(error.fields.name.detail).to.equal('Expected a string.');
+    },
+    'should coerce leniently when configured': async () => {
+      const record = await ctp.processItem({
+        item: {
+          name: 12,
+          scores: ['1']
+        },
+        typeName: 'Record',
+        coercion: 'lenient'
+      });
+
+      expect(record.name).to.equal('12');
+      expect(record.scores).to.eql([1]);
+    },
+    'should convert base64 and base64url bytes': async () => {
+      const { data } = await ctp.processItem({
+        item: {
+          data: '-_8'
+        },
+        typeName: 'Record',
+        coercion: 'lenient'
+      });
+
+      expect(Array.from(data)).to.eql([251, 255]);
+      expect((await ctp.processItem({
+        item: {
+          data
+        },
+        typeName: 'Record',
+        direction: 'encode'
+      })).data).to.equal('+/8=');
+    },
+    'should report values lenient coercion cannot convert': async () => {
+      const error = await getItemError({
+        count: '1.5',
+        active: 'maybe',
+        createdOn: 'soon'
+      });
+
+      expect(Object.keys(error.fields)).to.eql([
+        'count',
+        'active',
+        'createdOn'
+      ]);
+      expect(error.fields.count.coercion).to.equal('lenient');
+      expect(error.fields.createdOn.coercion).to.equal('strict');
+    },
+    'should use configured codecs': async () => {
+      ctp = new CodecTypeProcessor({
+        typeMap: TYPE_MAP,
+        codecs: {
+          Upper: {
+            decode: value => value.toUpperCase(),
+            encode: value => value.toLowerCase()
+          }
+        }
+      });
+
+      const { code } = await ctp.processItem({
+        item: {
+          code: 'abc'
+        },
+        typeName: 'Record'
+      });
+
+      expect(code).to.equal('ABC');
+    }
+  }
+};
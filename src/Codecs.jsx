@@ -0,0 +1,266 @@
+/**
+ * The directions a codec converts values in. `decode` converts serialized
+ * values, like parsed JSON, into runtime values and `encode` converts runtime
+ * values back into serializable values.
+ * @type {Object.<string, string>}
+ * */
+export const CODEC_DIRECTIONS = {
+  DECODE: 'decode',
+  ENCODE: 'encode'
+};
+
+/**
+ * The coercion modes. `strict` only accepts values already in the expected
+ * form and `lenient` also converts values from related forms, like numeric
+ * strings into numbers.
+ * @type {Object.<string, string>}
+ * */
+export const COERCION_MODES = {
+  STRICT: 'strict',
+  LENIENT: 'lenient'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const BASE64_PATTERN =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const BASE64_URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+/**
+ * Throw the error used by codecs for values they cannot convert.
+ * @param {string} reason The reason the value cannot be converted.
+ * */
+const fail = reason => {
+  throw new TypeError(reason);
+};
+
+/**
+ * Convert a base64 or base64url string into bytes. Uses `atob`, or `Buffer`
+ * where `atob` does not exist.
+ * @param {string} text The base64 string.
+ * @returns {Uint8Array} The bytes.
+ * */
+const fromBase64 = text => {
+  if (typeof atob !== 'function' && typeof Buffer === 'function') {
+    return new Uint8Array(Buffer.from(text, 'base64'));
+  }
+
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(
+    base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')
+  );
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
+/**
+ * Convert bytes into a base64 string. Uses `btoa`, or `Buffer` where `btoa`
+ * does not exist.
+ * @param {Uint8Array|Array.<number>} bytes The bytes.
+ * @returns {string} The base64 string.
+ * */
+const toBase64 = bytes => {
+  if (typeof btoa !== 'function' && typeof Buffer === 'function') {
+    return Buffer.from(bytes).toString('base64');
+  }
+
+  const byteList = new Uint8Array(bytes);
+
+  let binary = '';
+
+  for (let i = 0; i < byteList.length; i++) {
+    binary += String.fromCharCode(byteList[i]);
+  }
+
+  return btoa(binary);
+};
+
+/**
+ * Convert a value into a finite number.
+ * @param {*} value The value.
+ * @param {boolean} strict When `true`, only numbers are accepted.
+ * @returns {number} The number.
+ * */
+const toNumber = (value, strict) => {
+  const number = !strict && typeof value === 'string' && value.trim() !== ''
+    ? Number(value)
+    : value;
+
+  if (typeof number !== 'number' || !isFinite(number)) {
+    fail('Expected a finite number.');
+  }
+
+  return number;
+};
+
+/**
+ * Convert a value into an integer.
+ * @param {*} value The value.
+ * @param {boolean} strict When `true`, only numbers are accepted.
+ * @returns {number} The integer.
+ * */
+const toInteger = (value, strict) => {
+  const number = toNumber(value, strict);
+
+  if (number % 1 !== 0) {
+    fail('Expected an integer.');
+  }
+
+  return number;
+};
+
+/**
+ * Convert a value into a valid `Date`.
+ * @param {*} value The value.
+ * @param {boolean} strict When `true`, only `Date` objects and strings
+ * matching `pattern` are accepted.
+ * @param {RegExp} pattern The pattern for strict strings.
+ * @returns {Date} The date.
+ * */
+const toDate = (value, strict, pattern) => {
+  let date;
+
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'string' && (!strict || pattern.test(value))) {
+    date = new Date(value);
+  } else if (!strict && typeof value === 'number') {
+    date = new Date(value);
+  } else {
+    fail('Expected a date string.');
+  }
+
+  if (isNaN(date.getTime())) {
+    fail('Expected a valid date.');
+  }
+
+  return date;
+};
+
+/**
+ * Codecs for commonly named primitive types. Each codec has a `decode` and an
+ * `encode` function, called with a value that exists and a `strict` flag.
+ * Codecs throw for values they cannot convert.
+ * @type {Object.<string, Object>}
+ * */
+export const PRIMITIVE_CODECS = {
+  String: {
+    decode: (value, strict) => {
+      if (typeof value === 'string') {
+        return value;
+      }
+
+      if (
+        !strict &&
+        ['number', 'boolean', 'bigint'].indexOf(typeof value) !== -1
+      ) {
+        return `${value}`;
+      }
+
+      return fail('Expected a string.');
+    },
+    encode: (value, strict) => PRIMITIVE_CODECS.String.decode(value, strict)
+  },
+  Number: {
+    decode: toNumber,
+    encode: toNumber
+  },
+  Integer: {
+    decode: toInteger,
+    encode: toInteger
+  },
+  Boolean: {
+    decode: (value, strict) => {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+
+      const text = `${value}`.toLowerCase();
+
+      if (!strict && (text === 'true' || text === '1')) {
+        return true;
+      }
+
+      if (!strict && (text === 'false' || text === '0')) {
+        return false;
+      }
+
+      return fail('Expected a boolean.');
+    },
+    encode: (value, strict) => PRIMITIVE_CODECS.Boolean.decode(value, strict)
+  },
+  Date: {
+    decode: (value, strict) => toDate(value, strict, DATE_PATTERN),
+    encode: (value, strict) => toDate(value, strict, DATE_PATTERN)
+      .toISOString()
+      .slice(0, 10)
+  },
+  DateTime: {
+    decode: (value, strict) => toDate(value, strict, DATE_TIME_PATTERN),
+    encode: (value, strict) => toDate(value, strict, DATE_TIME_PATTERN)
+      .toISOString()
+  },
+  BigInt: {
+    decode: (value, strict) => {
+      if (typeof value === 'bigint') {
+        return value;
+      }
+
+      if (typeof value === 'string' && INTEGER_PATTERN.test(value)) {
+        return BigInt(value);
+      }
+
+      if (
+        !strict &&
+        typeof value === 'number' &&
+        Number.isSafeInteger(value)
+      ) {
+        return BigInt(value);
+      }
+
+      return fail('Expected an integer string.');
+    },
+    encode: (value, strict) =>
+      `${PRIMITIVE_CODECS.BigInt.decode(value, strict)}`
+  },
+  Base64: {
+    decode: (value, strict) => {
+      if (value instanceof Uint8Array) {
+        return value;
+      }
+
+      if (
+        typeof value === 'string' &&
+        (
+          BASE64_PATTERN.test(value) ||
+          (!strict && BASE64_URL_PATTERN.test(value) && value.length % 4 !== 1)
+        )
+      ) {
+        return fromBase64(value);
+      }
+
+      return fail('Expected a base64 string.');
+    },
+    encode: (value, strict) => {
+      if (!strict && typeof value === 'string' && BASE64_PATTERN.test(value)) {
+        return value;
+      }
+
+      if (
+        value instanceof Uint8Array ||
+        (!strict && value instanceof Array)
+      ) {
+        return toBase64(value);
+      }
+
+      return fail('Expected bytes.');
+    }
+  }
+};
@@ -0,0 +1,66 @@
+import TypeRegistry from './TypeRegistry';
+
+/**
+ * A type registry that looks up type definitions in a list of other
+ * registries. The first registry that has a type wins.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class CompositeTypeRegistry extends TypeRegistry {
+  /**
+   * The registries to look up type definitions in, in order.
+   * @member {Array.<TypeRegistry>}
+   * */
+  registries = [];
+
+  /**
+   * Load a type definition by name from the first registry that has it.
+   * @param {string} typeName The name of the type.
+   * @returns {Object|undefined} The type definition or `undefined` if none
+   * exists.
+   * */
+  async loadTypeDefinition (typeName) {
+    for (let i = 0; i < this.registries.length; i++) {
+      const typeDefinition = await this.registries[i]
+        .findTypeDefinition(typeName);
+
+      if (typeDefinition instanceof Object) {
+        return typeDefinition;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get the list of the unique names of all types in all registries.
+   * @returns {Array.<string>} The list of type names.
+   * */
+  async getTypeNameList () {
+    const typeNameList = [];
+
+    for (let i = 0; i < this.registries.length; i++) {
+      const registryTypeNameList = await this.registries[i].getTypeNameList();
+
+      registryTypeNameList.forEach(typeName => {
+        if (typeNameList.indexOf(typeName) === -1) {
+          typeNameList.push(typeName);
+        }
+      });
+    }
+
+    return typeNameList;
+  }
+
+  /**
+   * Remove a type definition, or all type definitions, from the cache of this
+   * registry and of all of its registries.
+   * @param {string} typeName The name of the type. When omitted, the whole
+   * cache is cleared.
+   * */
+  invalidate (typeName) {
+    super.invalidate(typeName);
+
+    this.registries.forEach(registry => registry.invalidate(typeName));
+  }
+}
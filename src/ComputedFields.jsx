@@ -0,0 +1,45 @@
+/**
+ * Sort computed fields so that each comes after the computed fields it
+ * depends on.
+ * @param {Object.<string, Array.<string>>} dependencyMap A map of computed
+ * field names to the names of the fields they depend on.
+ * @returns {Object} The sorted computed field names as `fieldList` and the
+ * names of the fields that are part of a dependency cycle as
+ * `cycleFieldList`.
+ * */
+export const sortComputedFields = dependencyMap => {
+  const fieldList = [];
+  const cycleFieldList = [];
+  const visitedFields = {};
+  const visit = (fieldName, stack) => {
+    const stackIndex = stack.indexOf(fieldName);
+
+    if (stackIndex !== -1) {
+      stack.slice(stackIndex).forEach(f => {
+        if (cycleFieldList.indexOf(f) === -1) {
+          cycleFieldList.push(f);
+        }
+      });
+
+      return;
+    }
+
+    if (visitedFields[fieldName]) {
+      return;
+    }
+
+    (dependencyMap[fieldName] || [])
+      .filter(d => dependencyMap.hasOwnProperty(d))
+      .forEach(d => visit(d, [...stack, fieldName]));
+
+    visitedFields[fieldName] = true;
+    fieldList.push(fieldName);
+  };
+
+  Object.keys(dependencyMap).forEach(fieldName => visit(fieldName, []));
+
+  return {
+    fieldList,
+    cycleFieldList
+  };
+};
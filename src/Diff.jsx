@@ -0,0 +1,412 @@
+/**
+ * The change operations produced by `diffItems`.
+ * @type {Object.<string, string>}
+ * */
+export const CHANGE_OPERATIONS = {
+  ADD: 'add',
+  REMOVE: 'remove',
+  REPLACE: 'replace',
+  MOVE: 'move'
+};
+
+/**
+ * The name of the field feature that configures how `multiple` fields are
+ * diffed. `{ key: 'id' }` matches list values by their `id` instead of by
+ * index.
+ * @type {string}
+ * */
+export const DIFF_FEATURE_NAME = 'diff';
+
+const valueExists = value => !(typeof value === 'undefined' || value === null);
+
+/**
+ * Check to see if two primitive values are equal. Dates are compared by time.
+ * @param {*} a The first value.
+ * @param {*} b The second value.
+ * @returns {boolean} A flag designating whether or not the values are equal.
+ * */
+const primitiveValuesEqual = (a, b) => {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+
+  return a === b;
+};
+
+/**
+ * Create a change for a value that differs.
+ * @param {Array} path The path to the value.
+ * @param {*} before The value before.
+ * @param {*} after The value after.
+ * @returns {Object} The change.
+ * */
+const getChange = (path, before, after) => {
+  const { ADD, REMOVE, REPLACE } = CHANGE_OPERATIONS;
+
+  if (!valueExists(before)) {
+    return {
+      op: ADD,
+      path,
+      after
+    };
+  }
+
+  if (!valueExists(after)) {
+    return {
+      op: REMOVE,
+      path,
+      before
+    };
+  }
+
+  return {
+    op: REPLACE,
+    path,
+    before,
+    after
+  };
+};
+
+/**
+ * Diff two values of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type.
+ * @param {*} input.before The value before.
+ * @param {*} input.after The value after.
+ * @param {Array} input.path The path to the value.
+ * @param {boolean} input.embedded When `true`, remote values are diffed as
+ * items.
+ * @returns {Array.<Object>} The changes.
+ * */
+const diffValue = async (processor, input) => {
+  const { typeName, before, after, path, embedded } = input;
+
+  if (!valueExists(before) || !valueExists(after)) {
+    return valueExists(before) || valueExists(after)
+      ? [getChange(path, before, after)]
+      : [];
+  }
+
+  const typeDefinition = await processor.getTypeDefinition(typeName);
+  const { primitive, remote, union } = typeDefinition;
+
+  if (union instanceof Array) {
+    const beforeTypeName = await processor.resolveUnionType({
+      value: before,
+      typeName
+    });
+    const afterTypeName = await processor.resolveUnionType({
+      value: after,
+      typeName
+    });
+
+    return beforeTypeName === afterTypeName
+      ? diffValue(processor, {
+        ...input,
+        typeName: beforeTypeName
+      })
+      : [getChange(path, before, after)];
+  }
+
+  if (primitive) {
+    return primitiveValuesEqual(before, after)
+      ? []
+      : [getChange(path, before, after)];
+  }
+
+  if (remote && !embedded) {
+    const beforeKey = await processor.getRemoteValueKey({
+      value: before,
+      typeName
+    });
+    const afterKey = await processor.getRemoteValueKey({
+      value: after,
+      typeName
+    });
+
+    return beforeKey === afterKey ? [] : [getChange(path, before, after)];
+  }
+
+  const fieldList = await processor.getFieldList(typeName);
+  const changes = [];
+
+  for (let i = 0; i < fieldList.length; i++) {
+    changes.push(...await diffField(processor, {
+      typeName,
+      fieldName: fieldList[i],
+      before: before[fieldList[i]],
+      after: after[fieldList[i]],
+      path: [...path, fieldList[i]]
+    }));
+  }
+
+  return changes;
+};
+
+/**
+ * Diff two lists of values of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type of the values.
+ * @param {Array} input.before The list before.
+ * @param {Array} input.after The list after.
+ * @param {Array} input.path The path to the list.
+ * @param {boolean} input.embedded When `true`, remote values are diffed as
+ * items.
+ * @param {string} input.key The name of the field that identifies values.
+ * When omitted, values are matched by index.
+ * @returns {Array.<Object>} The changes.
+ * */
+const diffValueList = async (processor, input) => {
+  const { before, after, path, key } = input;
+  const changes = [];
+
+  if (!(before instanceof Array) || !(after instanceof Array)) {
+    return valueExists(before) || valueExists(after)
+      ? [getChange(path, before, after)]
+      : [];
+  }
+
+  if (valueExists(key)) {
+    const getKeyValue = value => value instanceof Object
+      ? value[key]
+      : undefined;
+    const beforeKeyValues = before.map(getKeyValue);
+    const afterKeyValues = after.map(getKeyValue);
+    // The key values of the patched list, kept in sync with the changes so
+    // that adds and moves can record the index they apply at.
+    const currentKeyValues = [];
+
+    for (let i = 0; i < before.length; i++) {
+      if (afterKeyValues.indexOf(beforeKeyValues[i]) === -1) {
+        changes.push(getChange(
+          [...path, { key, value: beforeKeyValues[i] }],
+          before[i],
+          undefined
+        ));
+      } else {
+        currentKeyValues.push(beforeKeyValues[i]);
+      }
+    }
+
+    for (let i = 0; i < after.length; i++) {
+      const keyValue = afterKeyValues[i];
+      const valuePath = [...path, { key, value: keyValue }];
+      const beforeIndex = beforeKeyValues.indexOf(keyValue);
+      const currentIndex = currentKeyValues.indexOf(keyValue);
+
+      if (beforeIndex === -1) {
+        changes.push({
+          ...getChange(valuePath, undefined, after[i]),
+          index: i
+        });
+        currentKeyValues.splice(i, 0, keyValue);
+      } else {
+        if (currentIndex !== i) {
+          changes.push({
+            op: CHANGE_OPERATIONS.MOVE,
+            path: valuePath,
+            index: i
+          });
+          currentKeyValues.splice(currentIndex, 1);
+          currentKeyValues.splice(i, 0, keyValue);
+        }
+
+        changes.push(...await diffValue(processor, {
+          ...input,
+          before: before[beforeIndex],
+          after: after[i],
+          path: valuePath
+        }));
+      }
+    }
+
+    return changes;
+  }
+
+  for (let i = 0; i < after.length; i++) {
+    if (valueExists(before[i]) && !valueExists(after[i])) {
+      // Empty the value in place, since removing it would shift the values
+      // after it.
+      changes.push({
+        op: CHANGE_OPERATIONS.REPLACE,
+        path: [...path, i],
+        before: before[i],
+        after: after[i]
+      });
+    } else {
+      changes.push(...await diffValue(processor, {
+        ...input,
+        before: before[i],
+        after: after[i],
+        path: [...path, i]
+      }));
+    }
+  }
+
+  for (let i = before.length - 1; i >= after.length; i--) {
+    changes.push(getChange([...path, i], before[i], undefined));
+  }
+
+  return changes;
+};
+
+/**
+ * Diff two values of a field of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type.
+ * @param {string} input.fieldName The name of the field.
+ * @param {*} input.before The value before.
+ * @param {*} input.after The value after.
+ * @param {Array} input.path The path to the value.
+ * @returns {Array.<Object>} The changes.
+ * */
+const diffField = async (processor, input) => {
+  const { typeName, fieldName } = input;
+  const {
+    type: fieldTypeName,
+    multiple,
+    embedded
+  } = await processor.getFieldDescriptor(typeName, fieldName);
+  const { key } = await processor.getFieldFeature(
+    typeName,
+    fieldName,
+    DIFF_FEATURE_NAME
+  ) || {};
+  const valueInput = {
+    ...input,
+    typeName: fieldTypeName,
+    embedded,
+    key
+  };
+
+  return multiple
+    ? diffValueList(processor, valueInput)
+    : diffValue(processor, valueInput);
+};
+
+/**
+ * Find the index of a list value for a path segment.
+ * @param {Array} list The list.
+ * @param {number|Object} segment An index or a `{ key, value }` segment.
+ * @returns {number} The index, or `-1` when no value matches.
+ * */
+const getSegmentIndex = (list, segment) => {
+  if (typeof segment === 'number') {
+    return segment < list.length ? segment : -1;
+  }
+
+  const { key, value } = segment;
+
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] instanceof Object && list[i][key] === value) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Apply a change to a value, without changing the original value.
+ * @param {*} target The value.
+ * @param {Array} path The remaining path of the change.
+ * @param {Object} change The change.
+ * @returns {*} The changed copy of the value.
+ * */
+const applyChange = (target, path, change) => {
+  const { op, after, index: targetIndex } = change;
+  const { ADD, REMOVE, MOVE } = CHANGE_OPERATIONS;
+
+  if (!path.length) {
+    return op === REMOVE ? undefined : after;
+  }
+
+  const [segment, ...remainingPath] = path;
+
+  if (typeof segment === 'string') {
+    const newTarget = { ...(target instanceof Object ? target : {}) };
+
+    if (!remainingPath.length && op === REMOVE) {
+      delete newTarget[segment];
+    } else {
+      newTarget[segment] = applyChange(
+        newTarget[segment],
+        remainingPath,
+        change
+      );
+    }
+
+    return newTarget;
+  }
+
+  const newTarget = target instanceof Array ? [...target] : [];
+  const index = getSegmentIndex(newTarget, segment);
+
+  if (!remainingPath.length && op === REMOVE) {
+    if (index !== -1) {
+      newTarget.splice(index, 1);
+    }
+  } else if (!remainingPath.length && op === ADD && index === -1) {
+    if (typeof segment === 'number') {
+      newTarget.splice(segment, 0, after);
+    } else if (typeof targetIndex === 'number') {
+      newTarget.splice(targetIndex, 0, after);
+    } else {
+      newTarget.push(after);
+    }
+  } else if (!remainingPath.length && op === MOVE) {
+    if (index !== -1) {
+      newTarget.splice(targetIndex, 0, ...newTarget.splice(index, 1));
+    }
+  } else if (index !== -1) {
+    newTarget[index] = applyChange(newTarget[index], remainingPath, change);
+  }
+
+  return newTarget;
+};
+
+/**
+ * Diff two items of a type, walking the type map like `processItem`.
+ * Primitive values are compared by value, remote values by the key from
+ * `getRemoteValueKey` and items field by field. `multiple` fields are
+ * compared by index, or by the `key` of their `diff` field feature.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type.
+ * @param {Object} input.before The item before.
+ * @param {Object} input.after The item after.
+ * @returns {Array.<Object>} The changes, each with an `op` from
+ * `CHANGE_OPERATIONS`, a `path` and the `before` and/or `after` value. Paths
+ * are lists of field names, list indices and `{ key, value }` segments for
+ * keyed list values. Adds and moves of keyed list values have the `index`
+ * the value is placed at, once the preceding changes are applied.
+ * */
+export const diffItems = async (processor, input) => {
+  const { typeName, before, after } = input;
+
+  return diffValue(processor, {
+    typeName,
+    before,
+    after,
+    path: []
+  });
+};
+
+/**
+ * Apply a list of changes from `diffItems` to an item.
+ * @param {Object} input The input.
+ * @param {Object} input.item The item.
+ * @param {Array.<Object>} input.changes The changes.
+ * @returns {Object} A changed copy of the item.
+ * */
+export const applyPatch = input => {
+  const { item, changes = [] } = input;
+
+  return changes.reduce(
+    (acc, change) => applyChange(acc, change.path, change),
+    item
+  );
+};
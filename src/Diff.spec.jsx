@@ -0,0 +1,275 @@
+import expect from 'expect.js';
+import AsynchronousTypeProcessor from './index';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Address: {
+    remote: true
+  },
+  Phone: {
+    fields: {
+      id: {
+        type: 'String'
+      },
+      number: {
+        type: 'String'
+      }
+    }
+  },
+  Contact: {
+    fields: {
+      firstName: {
+        type: 'String'
+      },
+      lastName: {
+        type: 'String'
+      },
+      address: {
+        type: 'Address'
+      },
+      tags: {
+        type: 'String',
+        multiple: true
+      },
+      phones: {
+        type: 'Phone',
+        multiple: true,
+        features: {
+          diff: {
+            key: 'id'
+          }
+        }
+      }
+    }
+  }
+};
+
+class KeyedClass extends AsynchronousTypeProcessor {
+  async getRemoteValueKey ({ value }) {
+    return value && value.id;
+  }
+}
+
+let atp;
+
+module.exports = {
+  Diff: {
+    beforeEach: () => {
+      atp = new KeyedClass({
+        typeMap: TYPE_MAP
+      });
+    },
+    afterEach: () => {
+      atp = undefined;
+    },
+    diffItems: {
+      'should list changed, added and removed fields': async () => {
+        const changes = await atp.diffItems({
+          typeName: 'Contact',
+          before: {
+            firstName: 'First',
+            lastName: 'Last'
+          },
+          after: {
+            firstName: 'Changed',
+            address: { id: 'A1' }
+          }
+        });
+
+        expect(changes).to.eql([
+          {
+            op: 'replace',
+            path: ['firstName'],
+            before: 'First',
+            after: 'Changed'
+          },
+          {
+            op: 'remove',
+            path: ['lastName'],
+            before: 'Last'
+          },
+          {
+            op: 'add',
+            path: ['address'],
+            after: { id: 'A1' }
+          }
+        ]);
+      },
+      'should compare remote values by their key': async () => {
+        expect(await atp.diffItems({
+          typeName: 'Contact',
+          before: {
+            address: { id: 'A1', city: 'Before' }
+          },
+          after: {
+            address: { id: 'A1', city: 'After' }
+          }
+        })).to.eql([]);
+      },
+      'should diff multiple fields by index': async () => {
+        expect(await atp.diffItems({
+          typeName: 'Contact',
+          before: {
+            tags: ['a', 'b', 'c']
+          },
+          after: {
+            tags: ['a', 'x']
+          }
+        })).to.eql([
+          {
+            op: 'replace',
+            path: ['tags', 1],
+            before: 'b',
+            after: 'x'
+          },
+          {
+            op: 'remove',
+            path: ['tags', 2],
+            before: 'c'
+          }
+        ]);
+      },
+      'should diff multiple fields by a key feature': async () => {
+        expect(await atp.diffItems({
+          typeName: 'Contact',
+          before: {
+            phones: [
+              { id: 'P1', number: '1' },
+              { id: 'P2', number: '2' }
+            ]
+          },
+          after: {
+            phones: [
+              { id: 'P2', number: '22' },
+              { id: 'P3', number: '3' }
+            ]
+          }
+        })).to.eql([
+          {
+            op: 'remove',
+            path: ['phones', { key: 'id', value: 'P1' }],
+            before: { id: 'P1', number: '1' }
+          },
+          {
+            op: 'replace',
+            path: ['phones', { key: 'id', value: 'P2' }, 'number'],
+            before: '2',
+            after: '22'
+          },
+          {
+            op: 'add',
+            path: ['phones', { key: 'id', value: 'P3' }],
+            after: { id: 'P3', number: '3' },
+            index: 1
+          }
+        ]);
+      }
+    },
+    applyPatch: {
+      'should turn the before item into the after item': async () => {
+        const before = {
+          firstName: 'First',
+          lastName: 'Last',
+          tags: ['a', 'b', 'c'],
+          phones: [
+            { id: 'P1', number: '1' },
+            { id: 'P2', number: '2' }
+          ]
+        };
+        const after = {
+          firstName: 'Changed',
+          address: { id: 'A1' },
+          tags: ['a', 'x', 'c', 'd'],
+          phones: [
+            { id: 'P2', number: '22' },
+            { id: 'P3', number: '3' }
+          ]
+        };
+        const changes = await atp.diffItems({
+          typeName: 'Contact',
+          before,
+          after
+        });
+        const patched = atp.applyPatch({
+          typeName: 'Contact',
+          item: before,
+          changes
+        });
+
+        expect(patched).to.eql(after);
+        expect(before.firstName).to.equal('First');
+        expect(before.phones[1].number).to.equal('2');
+      },
+      'should keep the order of keyed list values': async () => {
+        const a = { id: 'A', number: '1' };
+        const b = { id: 'B', number: '2' };
+        const c = { id: 'C', number: '3' };
+        const d = { id: 'D', number: '4' };
+        const pairs = [
+          [[a, c], [a, b, c]],
+          [[a, b, c], [c, a, b]],
+          [[a, b, c, d], [d, b, { ...a, number: '11' }]],
+          [[], [b, a]]
+        ];
+
+        for (let i = 0; i < pairs.length; i++) {
+          const [beforePhones, afterPhones] = pairs[i];
+          const before = { phones: beforePhones };
+          const after = { phones: afterPhones };
+          const changes = await atp.diffItems({
+            typeName: 'Contact',
+            before,
+            after
+          });
+
+          expect(atp.applyPatch({
+            item: before,
+            changes
+          })).to.eql(after);
+        }
+      },
+      'should keep the position of emptied list values': async () => {
+        const pairs = [
+          [['a', 'b', 'c'], ['a', null, 'c']],
+          [['a', 'b', 'c', 'd'], [null, 'b', null, 'd']],
+          [['a', 'b', 'c'], [null, 'b']]
+        ];
+
+        for (let i = 0; i < pairs.length; i++) {
+          const [beforeTags, afterTags] = pairs[i];
+          const before = { tags: beforeTags };
+          const after = { tags: afterTags };
+          const changes = await atp.diffItems({
+            typeName: 'Contact',
+            before,
+            after
+          });
+
+          expect(atp.applyPatch({
+            item: before,
+            changes
+          })).to.eql(after);
+        }
+      },
+      'should move reordered keyed list values': async () => {
+        expect(await atp.diffItems({
+          typeName: 'Contact',
+          before: {
+            phones: [{ id: 'P1' }, { id: 'P2' }]
+          },
+          after: {
+            phones: [{ id: 'P2' }, { id: 'P1' }]
+          }
+        })).to.eql([
+          {
+            op: 'move',
+            path: ['phones', { key: 'id', value: 'P2' }],
+            index: 0
+          }
+        ]);
+      }
+    }
+  }
+};
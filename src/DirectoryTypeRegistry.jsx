@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import TypeRegistry from './TypeRegistry';
+
+/**
+ * Call a Node style asynchronous function and return a promise for the
+ * result.
+ * @param {Function} fn The function.
+ * @param {...*} args The arguments for the function, without the callback.
+ * @returns {Promise} A promise for the result.
+ * */
+const callAsync = (fn, ...args) => new Promise((res, rej) => fn(
+  ...args,
+  (error, result) => error ? rej(error) : res(result)
+));
+
+/**
+ * A type registry that lazily loads type definitions from the files in a
+ * directory. Each file holds one type definition and is named after its type,
+ * e.g. `Contact.json`.
+ * Files are parsed by the `parsers` for their extensions. JSON and JavaScript
+ * modules are supported by default. Other formats, like YAML, can be
+ * supported by adding a parser, e.g.
+ * `parsers: { '.yaml': text => yaml.load(text) }`.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class DirectoryTypeRegistry extends TypeRegistry {
+  /**
+   * The default parsers, with file extension keys and parser function values.
+   * Each parser is called with the file contents and the file path and
+   * returns a type definition.
+   * @member {Object.<string, Function>}
+   * */
+  static DEFAULT_PARSERS = {
+    '.json': text => JSON.parse(text),
+    '.js': (text, filePath) => {
+      const typeModule = require(filePath);
+
+      return typeModule.default || typeModule;
+    },
+    '.jsx': (text, filePath) => {
+      const typeModule = require(filePath);
+
+      return typeModule.default || typeModule;
+    }
+  };
+
+  /**
+   * The path to the directory containing the type definition files.
+   * @member {string}
+   * */
+  directory = '.';
+
+  /**
+   * The parsers, with file extension keys and parser function values.
+   * Merged with `DEFAULT_PARSERS`.
+   * @member {Object.<string, Function>}
+   * */
+  parsers = {};
+
+  /**
+   * Get all parsers, including the defaults.
+   * @returns {Object.<string, Function>} The parsers.
+   * */
+  getParsers () {
+    return {
+      ...DirectoryTypeRegistry.DEFAULT_PARSERS,
+      ...this.parsers
+    };
+  }
+
+  /**
+   * Load a type definition by name from the first file named after the type
+   * with a supported extension.
+   * @param {string} typeName The name of the type.
+   * @returns {Object|undefined} The type definition or `undefined` if none
+   * exists.
+   * */
+  async loadTypeDefinition (typeName) {
+    const parsers = this.getParsers();
+    const extensionList = Object.keys(parsers);
+
+    for (let i = 0; i < extensionList.length; i++) {
+      const extension = extensionList[i];
+      const filePath = path.resolve(this.directory, `${typeName}${extension}`);
+
+      let text;
+
+      try {
+        text = await callAsync(fs.readFile, filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+
+        throw error;
+      }
+
+      return parsers[extension](text, filePath);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Get the list of the names of all types with files in the directory.
+   * @returns {Array.<string>} The list of type names.
+   * */
+  async getTypeNameList () {
+    const parsers = this.getParsers();
+    const fileNameList = await callAsync(fs.readdir, this.directory);
+    const typeNameList = [];
+
+    fileNameList.forEach(fileName => {
+      const extension = path.extname(fileName);
+      const typeName = path.basename(fileName, extension);
+
+      if (
+        parsers.hasOwnProperty(extension) &&
+        typeNameList.indexOf(typeName) === -1
+      ) {
+        typeNameList.push(typeName);
+      }
+    });
+
+    return typeNameList;
+  }
+
+  /**
+   * Remove a type definition, or all type definitions, from the cache,
+   * including any cached JavaScript modules.
+   * @param {string} typeName The name of the type. When omitted, the whole
+   * cache is cleared.
+   * */
+  invalidate (typeName) {
+    super.invalidate(typeName);
+
+    const directoryPath = path.resolve(this.directory);
+
+    Object.keys(require.cache).forEach(modulePath => {
+      const extension = path.extname(modulePath);
+
+      if (
+        (extension === '.js' || extension === '.jsx') &&
+        path.dirname(modulePath) === directoryPath &&
+        (
+          typeof typeName === 'undefined' ||
+          path.basename(modulePath, extension) === typeName
+        )
+      ) {
+        delete require.cache[modulePath];
+      }
+    });
+  }
+}
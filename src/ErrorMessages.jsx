@@ -0,0 +1,242 @@
+/**
+ * The name of the field feature with message overrides for a field. It maps
+ * error codes to templates, or locales to such maps.
+ * @type {string}
+ * */
+export const MESSAGES_FEATURE_NAME = 'messages';
+
+/**
+ * The message catalogs included by default, by locale. Each catalog maps
+ * error codes to message templates. `DEFAULT` is used for codes with no
+ * message, `SUBJECT` describes the field and type a message is about and
+ * `VALUE` describes values of no known type. Errors with no field and no type
+ * use the `<code>_NO_SUBJECT` template of their code when there is one.
+ * Templates are strings with `{name}` placeholders or functions called with
+ * the placeholder values. A function can return `undefined` to use the
+ * `DEFAULT` template.
+ * @type {Object.<string, Object.<string, string|Function>>}
+ * */
+export const DEFAULT_MESSAGE_CATALOGS = {
+  en: {
+    SUBJECT: '{field} of {type}',
+    VALUE: 'The value',
+    DEFAULT: '{subject} is invalid.',
+    NON_EXISTENT_TYPE: '{subject} has an unknown type.',
+    NON_EXISTENT_FIELD: '{subject} does not exist.',
+    UNKNOWN_FIELD: '{subject} is not allowed.',
+    MISSING_FIELDS_FOR_TYPE: '{subject} has no fields.',
+    INVALID_VALUE_LIST: '{subject} must be a list.',
+    INVALID_ITEM: '{subject} must be an object.',
+    NO_MATCHING_UNION_MEMBER: '{subject} is not a supported kind of value.',
+    CIRCULAR_REFERENCE: '{subject} contains itself.',
+    MAX_DEPTH_EXCEEDED: '{subject} is nested too deeply.',
+    PROCESSING_ABORTED: 'Processing of {subject} was stopped.',
+    PROCESSING_ABORTED_NO_SUBJECT: 'Processing was stopped.',
+    COMPUTED_FIELD_CYCLE: '{subject} has computed fields that depend on ' +
+      'each other.',
+    INVALID_REMOTE_VALUE_LIST: '{subject} could not be loaded.',
+    VALIDATOR_FAILED: ({ subject, detail }) => typeof detail === 'undefined'
+      ? undefined
+      : `${subject}: ${detail}`,
+    VALUE_REQUIRED: '{subject} is required.',
+    VALUE_BELOW_MIN: '{subject} must be at least {constraint}.',
+    VALUE_ABOVE_MAX: '{subject} must be at most {constraint}.',
+    VALUE_TOO_SHORT: '{subject} must be at least {constraint} long.',
+    VALUE_TOO_LONG: '{subject} must be at most {constraint} long.',
+    PATTERN_MISMATCH: '{subject} is not in the expected format.',
+    VALUE_NOT_ALLOWED: '{subject} must be one of: {constraint}.',
+    TOO_FEW_ITEMS: '{subject} must have at least {constraint} entries.',
+    TOO_MANY_ITEMS: '{subject} must have at most {constraint} entries.',
+    VALUE_NOT_COERCIBLE: '{subject} could not be read as {codec}.'
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Format a placeholder value as text.
+ * @param {*} value The value.
+ * @returns {string} The text.
+ * */
+const formatValue = value => {
+  if (typeof value === 'undefined' || value === null) {
+    return '';
+  }
+
+  if (value instanceof Array) {
+    return value.map(formatValue).join(', ');
+  }
+
+  return value instanceof RegExp ? value.source : `${value}`;
+};
+
+/**
+ * Replace the `{name}` placeholders of a message template.
+ * @param {string|Function} template The template, or a function called with
+ * the values.
+ * @param {Object} values The placeholder values.
+ * @returns {string} The message.
+ * */
+export const interpolate = (template, values = {}) => {
+  if (template instanceof Function) {
+    return template(values);
+  }
+
+  return `${template}`.replace(
+    PLACEHOLDER_PATTERN,
+    (match, name) => formatValue(values[name])
+  );
+};
+
+/**
+ * Get the first template for a code from a list of catalogs.
+ * @param {Array.<Object>} catalogList The catalogs, in order of preference.
+ * @param {string} code The code.
+ * @returns {string|Function|undefined} The template.
+ * */
+const findTemplate = (catalogList, code) => {
+  for (let i = 0; i < catalogList.length; i++) {
+    const catalog = catalogList[i];
+
+    if (catalog instanceof Object && catalog.hasOwnProperty(code)) {
+      return catalog[code];
+    }
+  }
+};
+
+/**
+ * Get the label of a type, or its name when it has no label.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @returns {string} The label.
+ * */
+const getTypeLabel = async (processor, typeName) => {
+  try {
+    const { label } = await processor.getTypeDefinition(typeName);
+
+    return typeof label === 'undefined' ? typeName : label;
+  } catch (error) {
+    return typeName;
+  }
+};
+
+/**
+ * Get the descriptor of a field, or an empty descriptor when the field does
+ * not exist.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @param {string} fieldName The name of the field.
+ * @returns {Object} The field descriptor.
+ * */
+const getFieldDescriptor = async (processor, typeName, fieldName) => {
+  try {
+    return await processor.getFieldDescriptor(typeName, fieldName);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Turn a processing error into human readable messages, one for each error
+ * in the error tree.
+ * Messages use the `label` of types and fields, falling back to their names.
+ * Templates are looked up in the `messages` field feature, then in the
+ * catalog of `locale`, then in the catalog of `fallbackLocale`, using the
+ * `<code>_NO_SUBJECT` code for errors with no field and no type, then the
+ * error code, then `DEFAULT`. Placeholders are `{subject}`, `{field}`,
+ * `{type}`, `{path}`, `{code}` and the `constraint`, `detail`, `codec` and
+ * `value` properties of the error.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Error} error The processing error.
+ * @param {Object} options The options.
+ * @param {string} options.locale The locale of the messages.
+ * @param {string} options.fallbackLocale The locale used for codes with no
+ * message in `locale`.
+ * @param {Object.<string, Object>} options.catalogs Message catalogs by
+ * locale, merged with `DEFAULT_MESSAGE_CATALOGS`.
+ * @returns {Array.<Object>} The entries from `flattenError`, each with a
+ * `message`.
+ * */
+export const formatError = async (processor, error, options = {}) => {
+  const {
+    locale = 'en',
+    fallbackLocale = 'en',
+    catalogs = {}
+  } = options;
+  const getCatalog = catalogLocale => ({
+    ...DEFAULT_MESSAGE_CATALOGS[catalogLocale],
+    ...catalogs[catalogLocale]
+  });
+  const catalogList = [getCatalog(locale), getCatalog(fallbackLocale)];
+  const entries = processor.constructor.flattenError(error);
+  const formattedEntries = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const { path, code, typeName, fieldName, cause } = entry;
+    const typeLabel = await getTypeLabel(processor, typeName);
+    const {
+      label: fieldLabel = fieldName,
+      features: { [MESSAGES_FEATURE_NAME]: messages = {} } = {}
+    } = typeof fieldName === 'undefined'
+      ? {}
+      : await getFieldDescriptor(processor, typeName, fieldName);
+    const fieldCatalog = messages[locale] instanceof Object
+      ? messages[locale]
+      : messages;
+    const {
+      constraint,
+      detail,
+      codec,
+      value
+    } = cause instanceof Object ? cause : {};
+    const values = {
+      field: fieldLabel,
+      type: typeLabel,
+      path,
+      code,
+      constraint,
+      detail,
+      codec,
+      value
+    };
+
+    const templateCatalogList = [fieldCatalog, ...catalogList];
+
+    let template;
+
+    if (typeof fieldName !== 'undefined') {
+      values.subject = interpolate(
+        findTemplate(catalogList, 'SUBJECT'),
+        values
+      );
+    } else if (typeof typeLabel !== 'undefined') {
+      values.subject = formatValue(typeLabel);
+    } else {
+      values.subject = interpolate(findTemplate(catalogList, 'VALUE'), values);
+      template = findTemplate(templateCatalogList, `${code}_NO_SUBJECT`);
+    }
+
+    if (typeof template === 'undefined') {
+      template = findTemplate(templateCatalogList, code);
+    }
+
+    let message = typeof template === 'undefined'
+      ? undefined
+      : interpolate(template, values);
+
+    if (typeof message === 'undefined') {
+      message = interpolate(
+        findTemplate(templateCatalogList, 'DEFAULT'),
+        values
+      );
+    }
+
+    formattedEntries.push({
+      ...entry,
+      message
+    });
+  }
+
+  return formattedEntries;
+};
@@ -0,0 +1,214 @@
+import expect from 'expect.js';
+import ValidatingTypeProcessor from './ValidatingTypeProcessor';
+import { interpolate } from './ErrorMessages';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Number: {
+    primitive: true
+  },
+  Contact: {
+    label: 'Contact',
+    fields: {
+      firstName: {
+        type: 'String',
+        label: 'First Name',
+        features: {
+          validation: {
+            required: true
+          }
+        }
+      },
+      age: {
+        type: 'Number',
+        label: 'Age',
+        features: {
+          validation: {
+            min: 18
+          },
+          messages: {
+            en: {
+              VALUE_BELOW_MIN: 'You must be {constraint} or older.'
+            },
+            fr: {
+              VALUE_BELOW_MIN: 'Vous devez avoir {constraint} ans ou plus.'
+            }
+          }
+        }
+      },
+      tags: {
+        type: 'String',
+        multiple: true,
+        features: {
+          validation: {
+            enum: ['a', 'b']
+          }
+        }
+      }
+    }
+  }
+};
+
+const INVALID_CONTACT = {
+  age: 12,
+  tags: ['a', 'c'],
+  nickname: 'Nick'
+};
+
+let vtp;
+
+const getItemError = async () => {
+  try {
+    await vtp.processItem({
+      item: INVALID_CONTACT,
+      typeName: 'Contact',
+      unknownFields: 'error'
+    });
+  } catch (error) {
+    return error;
+  }
+};
+
+module.exports = {
+  ErrorMessages: {
+    beforeEach: () => {
+      vtp = new ValidatingTypeProcessor({
+        typeMap: TYPE_MAP
+      });
+    },
+    interpolate: {
+      'should replace placeholders': () => {
+        expect(interpolate('{a} and {b}: {list}{missing}', {
+          a: 1,
+          b: /x+/,
+          list: ['c', 'd']
+        })).to.equal('1 and x+: c, d');
+        expect(interpolate(({ a }) => `A is ${a}`, { a: 2 }))
+          .to.equal('A is 2');
+      }
+    },
+    formatError: {
+      'should describe every error with labels': async () => {
+        const entries = await vtp.formatError(await getItemError());
+
+        expect(entries.map(({ path, message }) => `${path}: ${message}`))
+          .to.eql([
+            'firstName: First Name of Contact is required.',
+            'age: You must be 18 or older.',
+            'tags[1]: tags of Contact must be one of: a, b.',
+            'nickname: nickname of Contact is not allowed.'
+          ]);
+      },
+      'should use locale catalogs and field overrides': async () => {
+        const entries = await vtp.formatError(await getItemError(), {
+          locale: 'fr',
+          catalogs: {
+            fr: {
+              SUBJECT: '{field} de {type}',
+              VALUE_REQUIRED: '{subject} est obligatoire.'
+            }
+          }
+        });
+
+        expect(entries.map(({ message }) => message)).to.eql([
+          'First Name de Contact est obligatoire.',
+          'Vous devez avoir 18 ans ou plus.',
+          'tags de Contact must be one of: a, b.',
+          'nickname de Contact is not allowed.'
+        ]);
+      },
+      'should use configured catalogs and defaults': async () => {
+        vtp = new ValidatingTypeProcessor({
+          typeMap: TYPE_MAP,
+          messageCatalogs: {
+            en: {
+              UNKNOWN_FIELD: 'Remove {field}.'
+            }
+          }
+        });
+
+        const entries = await vtp.formatError(await getItemError());
+
+        expect(entries[3].message).to.equal('Remove nickname.');
+
+        const [entry] = await vtp.formatError(new TypeError('SOMETHING'));
+
+        expect(entry.message).to.equal('The value is invalid.');
+      },
+      'should use the detail of failed validators': async () => {
+        const getValidatorError = async validator => {
+          vtp = new ValidatingTypeProcessor({
+            typeMap: {
+              ...TYPE_MAP,
+              Counter: {
+                fields: {
+                  count: {
+                    type: 'Number',
+                    label: 'Count',
+                    features: {
+                      validation: {
+                        validators: [validator]
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          });
+
+          try {
+            await vtp.processItem({
+              item: {
+                count: 3
+              },
+              typeName: 'Counter'
+            });
+          } catch (error) {
+            return error;
+          }
+        };
+        const detailError = await getValidatorError(
+          value => value % 2 === 0 || 'must be even'
+        );
+        const [detailEntry] = await vtp.formatError(detailError);
+        const error = await getValidatorError(value => value % 2 === 0);
+        const [entry] = await vtp.formatError(error);
+
+        expect(detailEntry.message).to.equal('Count of Counter: must be even');
+        expect(entry.message).to.equal('Count of Counter is invalid.');
+      },
+      'should describe errors with no field or type': async () => {
+        const { PROCESSING_ABORTED } = ValidatingTypeProcessor.ERROR_MESSAGES;
+        const [entry] = await vtp.formatError(
+          new TypeError(PROCESSING_ABORTED)
+        );
+
+        expect(entry.message).to.equal('Processing was stopped.');
+      },
+      'should describe computed field cycles and invalid remote value lists':
+        async () => {
+          const {
+            COMPUTED_FIELD_CYCLE,
+            INVALID_REMOTE_VALUE_LIST
+          } = ValidatingTypeProcessor.ERROR_MESSAGES;
+          const cycleError = new TypeError(COMPUTED_FIELD_CYCLE);
+          const remoteError = new TypeError(INVALID_REMOTE_VALUE_LIST);
+
+          cycleError.typeName = 'Contact';
+          remoteError.path = 'tags';
+          remoteError.typeName = 'Contact';
+          remoteError.fieldName = 'tags';
+
+          const [cycleEntry] = await vtp.formatError(cycleError);
+          const [remoteEntry] = await vtp.formatError(remoteError);
+
+          expect(cycleEntry.message)
+            .to.equal('Contact has computed fields that depend on each other.');
+          expect(remoteEntry.message)
+            .to.equal('tags of Contact could not be loaded.');
+        }
+    }
+  }
+};
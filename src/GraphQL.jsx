@@ -0,0 +1,283 @@
+import { TYPE_CONDITIONS_KEY } from './ProcessingHelpers';
+
+/**
+ * GraphQL scalars for commonly named primitive types. Primitive types with no
+ * mapping are declared as custom scalars.
+ * @type {Object.<string, string>}
+ * */
+export const PRIMITIVE_GRAPHQL_SCALARS = {
+  String: 'String',
+  Number: 'Float',
+  Integer: 'Int',
+  Boolean: 'Boolean'
+};
+
+/**
+ * The GraphQL scalar used for fields with no type.
+ * @type {string}
+ * */
+export const DEFAULT_GRAPHQL_SCALAR = 'String';
+
+/**
+ * The name of the type feature that configures how a type is described in
+ * GraphQL. `{ remote: 'id' }` turns fields of a remote type into `ID` fields.
+ * @type {string}
+ * */
+export const GRAPHQL_FEATURE_NAME = 'graphql';
+
+/**
+ * The ways fields of remote types are described. `reference` fields use the
+ * object type of the remote type and `id` fields use `ID`.
+ * @type {Object.<string, string>}
+ * */
+export const GRAPHQL_REMOTE_MODES = {
+  REFERENCE: 'reference',
+  ID: 'id'
+};
+
+/**
+ * Format a label as a GraphQL description.
+ * @param {string} label The label.
+ * @param {string} indent The indentation for each line.
+ * @returns {Array.<string>} The lines of the description.
+ * */
+const getDescriptionLines = (label, indent = '') => typeof label === 'undefined'
+  ? []
+  : [`${indent}${JSON.stringify(`${label}`)}`];
+
+/**
+ * Get the GraphQL type used for values of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @param {Object.<string, string>} mapping The scalar mapping.
+ * @returns {string} The GraphQL type name.
+ * */
+const getValueTypeName = async (processor, typeName, mapping) => {
+  if (typeof typeName === 'undefined') {
+    return DEFAULT_GRAPHQL_SCALAR;
+  }
+
+  const { primitive, remote } = await processor.getTypeDefinition(typeName);
+  const { remote: remoteMode } = await processor.getTypeFeature(
+    typeName,
+    GRAPHQL_FEATURE_NAME
+  ) || {};
+
+  if (primitive && mapping.hasOwnProperty(typeName)) {
+    return mapping[typeName];
+  }
+
+  if (remote && remoteMode === GRAPHQL_REMOTE_MODES.ID) {
+    return 'ID';
+  }
+
+  return typeName;
+};
+
+/**
+ * Generate a GraphQL schema definition (SDL) for every type in a type map.
+ * Non-primitive types become object types, with non-null fields when the
+ * `validation` feature marks a field as `required`, and list fields for
+ * `multiple` fields. Union types become unions. Primitive types use
+ * `scalarMapping`, or become custom scalars. Labels become descriptions.
+ * Remote types become object types, with an `id: ID!` field when they declare
+ * no fields, unless their `graphql` type feature sets `remote` to `id`, which
+ * turns their fields into `ID` fields.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} options The options.
+ * @param {Object.<string, string>} options.scalarMapping A map of primitive
+ * type names to GraphQL scalars. Merged with `PRIMITIVE_GRAPHQL_SCALARS`.
+ * @returns {string} The schema definition.
+ * */
+export const toGraphQLSDL = async (processor, options = {}) => {
+  const { scalarMapping = {} } = options;
+  const mapping = {
+    ...PRIMITIVE_GRAPHQL_SCALARS,
+    ...scalarMapping
+  };
+  const typeNameList = await processor.getTypeNameList();
+  const definitions = [];
+
+  for (let i = 0; i < typeNameList.length; i++) {
+    const typeName = typeNameList[i];
+    const typeDefinition = await processor.getTypeDefinition(typeName);
+    const { label, primitive, remote, union } = typeDefinition;
+    const valueTypeName = await getValueTypeName(processor, typeName, mapping);
+    const lines = getDescriptionLines(label);
+
+    if (
+      primitive
+        ? mapping.hasOwnProperty(typeName)
+        : valueTypeName !== typeName
+    ) {
+      continue;
+    }
+
+    if (union instanceof Array) {
+      lines.push(`union ${typeName} = ${union.join(' | ')}`);
+    } else if (primitive) {
+      lines.push(`scalar ${typeName}`);
+    } else {
+      const fields = await processor.getInheritedTypeProperty(
+        typeName,
+        'fields'
+      );
+      const fieldList = remote && !(fields instanceof Object)
+        ? []
+        : await processor.getFieldList(typeName);
+
+      lines.push(`type ${typeName} {`);
+
+      if (!fieldList.length) {
+        lines.push('  id: ID!');
+      }
+
+      for (let j = 0; j < fieldList.length; j++) {
+        const fieldName = fieldList[j];
+        const {
+          type: fieldTypeName,
+          label: fieldLabel,
+          multiple,
+          features: { validation = {} } = {}
+        } = await processor.getFieldDescriptor(typeName, fieldName);
+        const fieldValueTypeName = await getValueTypeName(
+          processor,
+          fieldTypeName,
+          mapping
+        );
+        const nonNull = validation.required ? '!' : '';
+        const gqlType = multiple
+          ? `[${fieldValueTypeName}]`
+          : fieldValueTypeName;
+
+        lines.push(
+          ...getDescriptionLines(fieldLabel, '  '),
+          `  ${fieldName}: ${gqlType}${nonNull}`
+        );
+      }
+
+      lines.push('}');
+    }
+
+    definitions.push(lines.join('\n'));
+  }
+
+  return definitions.join('\n\n') + '\n';
+};
+
+/**
+ * Read the fields selected by a GraphQL query from the resolve info of a
+ * field, as a nested selection for `processItem`. Fragments without a type
+ * condition are merged, fragments with a type condition are kept by type name
+ * under the `$on` key, so that they only apply to values of that type.
+ * Introspection fields, like `__typename`, are left out.
+ * @param {Object} info The GraphQL resolve info.
+ * @returns {Object} The nested selection.
+ * */
+export const getGraphQLSelection = info => {
+  const { fieldNodes = [], fragments = {} } = info || {};
+  const addSelections = (selection, selectionSet) => {
+    const { selections = [] } = selectionSet || {};
+
+    selections.forEach(node => {
+      const { kind, name, selectionSet: nodeSelectionSet } = node;
+
+      if (kind === 'Field') {
+        const fieldName = name.value;
+
+        if (fieldName.indexOf('__') === 0) {
+          return;
+        }
+
+        if (nodeSelectionSet) {
+          selection[fieldName] = addSelections(
+            selection[fieldName] instanceof Object ? selection[fieldName] : {},
+            nodeSelectionSet
+          );
+        } else {
+          selection[fieldName] = true;
+        }
+      } else if (kind === 'InlineFragment') {
+        addFragmentSelections(selection, node);
+      } else if (kind === 'FragmentSpread') {
+        addFragmentSelections(selection, fragments[name.value] || {});
+      }
+    });
+
+    return selection;
+  };
+  const addFragmentSelections = (selection, fragment) => {
+    const { typeCondition, selectionSet } = fragment;
+
+    if (!typeCondition) {
+      addSelections(selection, selectionSet);
+
+      return;
+    }
+
+    const typeConditions = selection[TYPE_CONDITIONS_KEY] =
+      selection[TYPE_CONDITIONS_KEY] || {};
+    const typeName = typeCondition.name.value;
+
+    typeConditions[typeName] = addSelections(
+      typeConditions[typeName] || {},
+      selectionSet
+    );
+  };
+
+  return fieldNodes.reduce(
+    (selection, { selectionSet }) => addSelections(selection, selectionSet),
+    {}
+  );
+};
+
+/**
+ * Create a GraphQL field resolver that processes the resolved item with
+ * `processItem`, visiting only the fields selected by the query.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} options The options.
+ * @param {string} options.typeName The name of the type of the field.
+ * @param {boolean} options.multiple When `true`, the field resolves to a list
+ * of items.
+ * @param {Function} options.resolve Called with the arguments of the resolver
+ * to get the item, or the list of items. Defaults to reading the field from
+ * the parent.
+ * @param {Object} options.input Additional input for `processItem`.
+ * @returns {Function} The resolver, called with `parent`, `args`, `context`
+ * and `info`.
+ * */
+export const createGraphQLResolver = (processor, options = {}) => {
+  const {
+    typeName,
+    multiple,
+    resolve = (parent, args, context, info) => (parent || {})[info.fieldName],
+    input = {}
+  } = options;
+
+  return async (parent, args, context, info) => {
+    const value = await resolve(parent, args, context, info);
+    const processInput = {
+      ...input,
+      typeName,
+      select: getGraphQLSelection(info),
+      graphql: {
+        parent,
+        args,
+        context,
+        info
+      }
+    };
+
+    if (multiple) {
+      return processor.processValueList({
+        ...processInput,
+        valueList: value
+      });
+    }
+
+    return processor.processItem({
+      ...processInput,
+      item: value
+    });
+  };
+};
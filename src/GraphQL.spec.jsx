@@ -0,0 +1,312 @@
+import expect from 'expect.js';
+import AsynchronousTypeProcessor from './index';
+import { getGraphQLSelection } from './GraphQL';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Integer: {
+    primitive: true
+  },
+  DateTime: {
+    primitive: true
+  },
+  Address: {
+    label: 'A "postal" address',
+    remote: true
+  },
+  Account: {
+    remote: true,
+    features: {
+      graphql: {
+        remote: 'id'
+      }
+    }
+  },
+  Contact: {
+    label: 'A Contact',
+    fields: {
+      id: {
+        type: 'String',
+        features: {
+          validation: {
+            required: true
+          }
+        }
+      },
+      firstName: {
+        type: 'String',
+        label: 'First Name'
+      },
+      age: {
+        type: 'Integer'
+      },
+      createdOn: {
+        type: 'DateTime'
+      },
+      addresses: {
+        type: 'Address',
+        multiple: true
+      },
+      account: {
+        type: 'Account'
+      }
+    }
+  },
+  Party: {
+    union: ['Contact', 'Address']
+  }
+};
+
+const EXPECTED_SDL = `scalar DateTime
+
+"A \\"postal\\" address"
+type Address {
+  id: ID!
+}
+
+"A Contact"
+type Contact {
+  id: String!
+  "First Name"
+  firstName: String
+  age: Int
+  createdOn: DateTime
+  addresses: [Address]
+  account: ID
+}
+
+union Party = Contact | Address
+`;
+
+const getField = (name, selections) => ({
+  kind: 'Field',
+  name: {
+    value: name
+  },
+  selectionSet: selections
+    ? {
+      selections
+    }
+    : undefined
+});
+
+const RESOLVE_INFO = {
+  fieldName: 'contact',
+  fieldNodes: [
+    getField('contact', [
+      getField('__typename'),
+      getField('firstName'),
+      {
+        kind: 'FragmentSpread',
+        name: {
+          value: 'ContactAddresses'
+        }
+      }
+    ])
+  ],
+  fragments: {
+    ContactAddresses: {
+      selectionSet: {
+        selections: [
+          getField('addresses', [
+            getField('id')
+          ])
+        ]
+      }
+    }
+  }
+};
+
+const PAYMENT_TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Card: {
+    fields: {
+      kind: {
+        type: 'String'
+      },
+      number: {
+        type: 'String'
+      }
+    }
+  },
+  Bank: {
+    fields: {
+      kind: {
+        type: 'String'
+      },
+      iban: {
+        type: 'String'
+      }
+    }
+  },
+  Payment: {
+    union: ['Card', 'Bank'],
+    discriminator: 'kind'
+  },
+  Order: {
+    fields: {
+      id: {
+        type: 'String'
+      },
+      payment: {
+        type: 'Payment'
+      }
+    }
+  }
+};
+
+const getInlineFragment = (typeName, selections) => ({
+  kind: 'InlineFragment',
+  typeCondition: {
+    kind: 'NamedType',
+    name: {
+      value: typeName
+    }
+  },
+  selectionSet: {
+    selections
+  }
+});
+
+const PAYMENT_RESOLVE_INFO = {
+  fieldName: 'order',
+  fieldNodes: [
+    getField('order', [
+      getField('id'),
+      getField('payment', [
+        getField('__typename'),
+        getInlineFragment('Card', [
+          getField('number')
+        ]),
+        getInlineFragment('Bank', [
+          getField('iban')
+        ])
+      ])
+    ])
+  ],
+  fragments: {}
+};
+
+let atp;
+
+module.exports = {
+  GraphQL: {
+    beforeEach: () => {
+      atp = new AsynchronousTypeProcessor({
+        typeMap: TYPE_MAP,
+        processRemoteValue: async ({ value }) => ({ id: value })
+      });
+    },
+    toGraphQLSDL: {
+      'should generate a schema definition for every type': async () => {
+        expect(await atp.toGraphQLSDL()).to.equal(EXPECTED_SDL);
+      },
+      'should use the configured scalar mapping': async () => {
+        const sdl = await atp.toGraphQLSDL({
+          scalarMapping: {
+            DateTime: 'String'
+          }
+        });
+
+        expect(sdl.indexOf('scalar DateTime')).to.equal(-1);
+        expect(sdl).to.contain('  createdOn: String\n');
+      }
+    },
+    getGraphQLSelection: {
+      'should read the selected fields from the resolve info': () => {
+        expect(getGraphQLSelection(RESOLVE_INFO)).to.eql({
+          firstName: true,
+          addresses: {
+            id: true
+          }
+        });
+      },
+      'should keep the selections of fragments by type condition': () => {
+        expect(getGraphQLSelection(PAYMENT_RESOLVE_INFO)).to.eql({
+          id: true,
+          payment: {
+            $on: {
+              Card: {
+                number: true
+              },
+              Bank: {
+                iban: true
+              }
+            }
+          }
+        });
+      }
+    },
+    createGraphQLResolver: {
+      'should process only the fields selected by the query': async () => {
+        const resolver = atp.createGraphQLResolver({
+          typeName: 'Contact'
+        });
+
+        expect(await resolver(
+          {
+            contact: {
+              id: 'C1',
+              firstName: 'First',
+              age: 30,
+              addresses: ['A1']
+            }
+          },
+          {},
+          {},
+          RESOLVE_INFO
+        )).to.eql({
+          firstName: 'First',
+          addresses: [
+            {
+              id: 'A1'
+            }
+          ]
+        });
+      },
+      'should apply the fragments that match the type of union values':
+        async () => {
+          const resolver = new AsynchronousTypeProcessor({
+            typeMap: PAYMENT_TYPE_MAP
+          }).createGraphQLResolver({
+            typeName: 'Order'
+          });
+          const resolveOrder = order => resolver(
+            { order },
+            {},
+            {},
+            PAYMENT_RESOLVE_INFO
+          );
+
+          expect(await resolveOrder({
+            id: 'O1',
+            payment: {
+              kind: 'Card',
+              number: '4111'
+            }
+          })).to.eql({
+            id: 'O1',
+            payment: {
+              number: '4111'
+            }
+          });
+          expect(await resolveOrder({
+            id: 'O2',
+            payment: {
+              kind: 'Bank',
+              iban: 'DE00'
+            }
+          })).to.eql({
+            id: 'O2',
+            payment: {
+              iban: 'DE00'
+            }
+          });
+        }
+    }
+  }
+};
@@ -0,0 +1,48 @@
+import TypeRegistry from './TypeRegistry';
+
+/**
+ * A type registry backed by an in-memory type map.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class InMemoryTypeRegistry extends TypeRegistry {
+  /**
+   * A map with type name keys and type definition values.
+   * @member {Object.<string, Object>}
+   * */
+  typeMap = {};
+
+  /**
+   * Load a type definition by name from the `typeMap`.
+   * @param {string} typeName The name of the type.
+   * @returns {Object|undefined} The type definition or `undefined` if none
+   * exists.
+   * */
+  async loadTypeDefinition (typeName) {
+    return this.typeMap.hasOwnProperty(typeName)
+      ? this.typeMap[typeName]
+      : undefined;
+  }
+
+  /**
+   * Get the list of the names of all types in the `typeMap`.
+   * @returns {Array.<string>} The list of type names.
+   * */
+  async getTypeNameList () {
+    return Object.keys(this.typeMap);
+  }
+
+  /**
+   * Add or replace a type definition and remove it from the cache.
+   * @param {string} typeName The name of the type.
+   * @param {Object} typeDefinition The type definition.
+   * */
+  setTypeDefinition (typeName, typeDefinition) {
+    this.typeMap = {
+      ...this.typeMap,
+      [typeName]: typeDefinition
+    };
+
+    this.invalidate(typeName);
+  }
+}
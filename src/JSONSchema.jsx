@@ -0,0 +1,488 @@
+/**
+ * The JSON Schema dialect used for generated documents.
+ * @type {string}
+ * */
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * JSON Schemas for commonly named primitive types.
+ * Primitive types with other names are described with the `jsonSchema` type
+ * feature, or with an empty schema.
+ * @type {Object.<string, Object>}
+ * */
+export const PRIMITIVE_JSON_SCHEMAS = {
+  String: {
+    type: 'string'
+  },
+  Number: {
+    type: 'number'
+  },
+  Integer: {
+    type: 'integer'
+  },
+  Boolean: {
+    type: 'boolean'
+  },
+  Date: {
+    type: 'string',
+    format: 'date'
+  },
+  DateTime: {
+    type: 'string',
+    format: 'date-time'
+  }
+};
+
+/**
+ * Validation feature rules and the JSON Schema keywords they map to.
+ * @type {Object.<string, string>}
+ * */
+export const VALIDATION_KEYWORDS = {
+  min: 'minimum',
+  max: 'maximum',
+  minLength: 'minLength',
+  maxLength: 'maxLength',
+  pattern: 'pattern',
+  enum: 'enum'
+};
+
+/**
+ * Validation feature rules for `multiple` fields and the JSON Schema keywords
+ * they map to.
+ * @type {Object.<string, string>}
+ * */
+export const LIST_VALIDATION_KEYWORDS = {
+  minItems: 'minItems',
+  maxItems: 'maxItems'
+};
+
+const DEFINITION_REF_PREFIX = '#/$defs/';
+
+/**
+ * Describe the discriminator of a union type as a JSON Schema
+ * `discriminator`, with a `propertyName` and a `mapping` from field values to
+ * member type references.
+ * @param {string|Object} discriminator The discriminator of the union type.
+ * @returns {Object} The discriminator schema.
+ * */
+const getDiscriminatorSchema = discriminator => {
+  const {
+    field = discriminator,
+    mapping
+  } = discriminator instanceof Object ? discriminator : {};
+  const discriminatorSchema = {
+    propertyName: field
+  };
+
+  if (mapping instanceof Object) {
+    discriminatorSchema.mapping = Object.keys(mapping).reduce(
+      (acc, key) => {
+        acc[key] = `${DEFINITION_REF_PREFIX}${mapping[key]}`;
+
+        return acc;
+      },
+      {}
+    );
+  }
+
+  return discriminatorSchema;
+};
+
+/**
+ * Copy the keywords for a set of validation rules onto a schema.
+ * @param {Object} schema The schema.
+ * @param {Object} validation The validation rules.
+ * @param {Object.<string, string>} keywords The rule to keyword map.
+ * */
+const applyValidationKeywords = (schema, validation = {}, keywords) => {
+  Object.keys(keywords).forEach(rule => {
+    const constraint = validation[rule];
+
+    if (typeof constraint !== 'undefined') {
+      schema[keywords[rule]] = constraint instanceof RegExp
+        ? constraint.source
+        : constraint;
+    }
+  });
+};
+
+/**
+ * Read a set of validation rules from the keywords of a schema.
+ * @param {Object} schema The schema.
+ * @param {Object.<string, string>} keywords The rule to keyword map.
+ * @returns {Object} The validation rules.
+ * */
+const readValidationKeywords = (schema = {}, keywords) => {
+  const validation = {};
+
+  Object.keys(keywords).forEach(rule => {
+    const constraint = schema[keywords[rule]];
+
+    if (typeof constraint !== 'undefined') {
+      validation[rule] = constraint;
+    }
+  });
+
+  return validation;
+};
+
+/**
+ * Build the JSON Schema for a field of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @param {string} fieldName The name of the field.
+ * @returns {Object} The field schema.
+ * */
+const getFieldSchema = async (processor, typeName, fieldName) => {
+  const fieldDescriptor = await processor.getFieldDescriptor(
+    typeName,
+    fieldName
+  );
+  const {
+    type: fieldTypeName,
+    label,
+    multiple,
+    embedded,
+    features
+  } = fieldDescriptor;
+  const { validation } = features || {};
+  const valueSchema = typeof fieldTypeName === 'undefined'
+    ? { 'x-untyped': true }
+    : { $ref: `${DEFINITION_REF_PREFIX}${fieldTypeName}` };
+
+  applyValidationKeywords(valueSchema, validation, VALIDATION_KEYWORDS);
+
+  const fieldSchema = multiple
+    ? {
+      type: 'array',
+      items: valueSchema
+    }
+    : valueSchema;
+
+  if (multiple) {
+    applyValidationKeywords(fieldSchema, validation, LIST_VALIDATION_KEYWORDS);
+  }
+
+  if (typeof label !== 'undefined') {
+    fieldSchema.title = label;
+  }
+
+  if (embedded) {
+    fieldSchema['x-embedded'] = true;
+  }
+
+  if (features instanceof Object) {
+    fieldSchema['x-features'] = features;
+  }
+
+  return fieldSchema;
+};
+
+/**
+ * Build the JSON Schema for a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @returns {Object} The type schema and the list of the names of the types
+ * it references, as `schema` and `typeNameList`.
+ * */
+const getTypeSchema = async (processor, typeName) => {
+  const typeDefinition = await processor.getTypeDefinition(typeName);
+  const { label, primitive, remote, union, discriminator } = typeDefinition;
+  const fields = await processor.getInheritedTypeProperty(typeName, 'fields');
+  const features = await processor.getInheritedTypeProperty(
+    typeName,
+    'features'
+  );
+  const { jsonSchema, ...otherFeatures } = features || {};
+  const typeNameList = [];
+
+  let schema;
+
+  if (union instanceof Array) {
+    schema = {
+      oneOf: union.map(memberTypeName => {
+        typeNameList.push(memberTypeName);
+
+        return { $ref: `${DEFINITION_REF_PREFIX}${memberTypeName}` };
+      })
+    };
+
+    if (!(typeof discriminator === 'undefined' || discriminator === null)) {
+      schema.discriminator = getDiscriminatorSchema(discriminator);
+    }
+  } else if (fields instanceof Object) {
+    const fieldList = Object.keys(fields);
+    const properties = {};
+    const required = [];
+
+    for (let i = 0; i < fieldList.length; i++) {
+      const fieldName = fieldList[i];
+      const {
+        type: fieldTypeName,
+        features: { validation = {} } = {}
+      } = fields[fieldName];
+
+      properties[fieldName] = await getFieldSchema(
+        processor,
+        typeName,
+        fieldName
+      );
+
+      if (validation.required) {
+        required.push(fieldName);
+      }
+
+      if (typeof fieldTypeName !== 'undefined') {
+        typeNameList.push(fieldTypeName);
+      }
+    }
+
+    schema = {
+      type: 'object',
+      properties
+    };
+
+    if (required.length) {
+      schema.required = required;
+    }
+  } else if (primitive) {
+    schema = { ...PRIMITIVE_JSON_SCHEMAS[typeName] };
+  } else {
+    schema = {};
+  }
+
+  if (remote) {
+    schema['x-remote'] = true;
+  }
+
+  if (typeof label !== 'undefined') {
+    schema.title = label;
+  }
+
+  if (Object.keys(otherFeatures).length) {
+    schema['x-features'] = otherFeatures;
+  }
+
+  return {
+    schema: {
+      ...schema,
+      ...jsonSchema
+    },
+    typeNameList
+  };
+};
+
+/**
+ * Convert a type, and every type reachable from it, into a JSON Schema
+ * document.
+ * Each type is described in `$defs`. Fields of `multiple` types become
+ * arrays, labels become titles and the `validation` feature rules become
+ * validation keywords. Union types become `oneOf` schemas with a
+ * `discriminator`. Fields with no type are marked with `x-untyped`.
+ * The `jsonSchema` type feature is merged into the generated schema of a
+ * type. Other features, including a `resolveType` function, are kept in
+ * `x-features`, so functions only survive when the document is not
+ * serialized.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the root type.
+ * @returns {Object} The JSON Schema document.
+ * */
+export const toJSONSchema = async (processor, typeName) => {
+  const $defs = {};
+  const pendingTypeNames = [typeName];
+
+  while (pendingTypeNames.length) {
+    const currentTypeName = pendingTypeNames.shift();
+
+    if (!$defs.hasOwnProperty(currentTypeName)) {
+      const { schema, typeNameList } = await getTypeSchema(
+        processor,
+        currentTypeName
+      );
+
+      $defs[currentTypeName] = schema;
+      pendingTypeNames.push(...typeNameList);
+    }
+  }
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    $ref: `${DEFINITION_REF_PREFIX}${typeName}`,
+    $defs
+  };
+};
+
+/**
+ * Convert a JSON Schema document into a type map.
+ * Each entry in `$defs` (or `definitions`) becomes a type. Object schemas
+ * become types with fields, `oneOf` schemas become union types, schemas
+ * marked with `x-remote` become remote types and all other schemas become
+ * primitive types. Inline property schemas become types named after their
+ * parent type and field, and inline `oneOf` members become types named after
+ * their union type and position, e.g. `PaymentMember1`.
+ * @param {Object} schema The JSON Schema document.
+ * @param {string} rootTypeName The name of the type for the root schema when
+ * it is not a `$ref`.
+ * @returns {Object.<string, Object>} The type map.
+ * */
+export const fromJSONSchema = (schema = {}, rootTypeName = 'Root') => {
+  const typeMap = {};
+  const getRefTypeName = ref => ref.split('/').pop();
+  const getPrimitiveTypeName = valueSchema => {
+    const { type, format } = valueSchema;
+
+    return Object.keys(PRIMITIVE_JSON_SCHEMAS).filter(name => {
+      const primitiveSchema = PRIMITIVE_JSON_SCHEMAS[name];
+
+      return primitiveSchema.type === type && primitiveSchema.format === format;
+    })[0];
+  };
+  const getValueTypeName = (valueSchema, inlineTypeName) => {
+    const { $ref } = valueSchema;
+    const primitiveTypeName = getPrimitiveTypeName(valueSchema);
+
+    if (typeof $ref === 'string') {
+      return getRefTypeName($ref);
+    }
+
+    if (typeof primitiveTypeName !== 'undefined') {
+      if (!typeMap.hasOwnProperty(primitiveTypeName)) {
+        typeMap[primitiveTypeName] = { primitive: true };
+      }
+
+      return primitiveTypeName;
+    }
+
+    if (valueSchema['x-untyped']) {
+      return undefined;
+    }
+
+    addType(inlineTypeName, valueSchema);
+
+    return inlineTypeName;
+  };
+  const readDiscriminator = ({ propertyName, mapping }) => {
+    if (!(mapping instanceof Object)) {
+      return propertyName;
+    }
+
+    return {
+      field: propertyName,
+      mapping: Object.keys(mapping).reduce(
+        (acc, key) => {
+          acc[key] = getRefTypeName(mapping[key]);
+
+          return acc;
+        },
+        {}
+      )
+    };
+  };
+  const getFieldDescriptor = (typeName, fieldName, fieldSchema, required) => {
+    const {
+      type,
+      items = {},
+      title,
+      'x-embedded': embedded,
+      'x-features': features
+    } = fieldSchema;
+    const multiple = type === 'array';
+    const valueSchema = multiple ? items : fieldSchema;
+    const fieldTypeName = getValueTypeName(
+      valueSchema,
+      `${typeName}${fieldName.charAt(0).toUpperCase()}${fieldName.slice(1)}`
+    );
+    const validation = {
+      ...(required ? { required: true } : {}),
+      ...readValidationKeywords(valueSchema, VALIDATION_KEYWORDS),
+      ...(multiple
+        ? readValidationKeywords(fieldSchema, LIST_VALIDATION_KEYWORDS)
+        : {})
+    };
+    const fieldDescriptor = {};
+
+    if (typeof fieldTypeName !== 'undefined') {
+      fieldDescriptor.type = fieldTypeName;
+    }
+
+    if (typeof title !== 'undefined') {
+      fieldDescriptor.label = title;
+    }
+
+    if (multiple) {
+      fieldDescriptor.multiple = true;
+    }
+
+    if (embedded) {
+      fieldDescriptor.embedded = true;
+    }
+
+    if (features instanceof Object) {
+      fieldDescriptor.features = features;
+    } else if (Object.keys(validation).length) {
+      fieldDescriptor.features = { validation };
+    }
+
+    return fieldDescriptor;
+  };
+  const addType = (typeName, typeSchema) => {
+    const {
+      title,
+      properties,
+      required = [],
+      oneOf,
+      discriminator,
+      'x-remote': remote,
+      'x-features': features
+    } = typeSchema;
+    const typeDefinition = {};
+
+    typeMap[typeName] = typeDefinition;
+
+    if (typeof title !== 'undefined') {
+      typeDefinition.label = title;
+    }
+
+    if (remote) {
+      typeDefinition.remote = true;
+    } else if (!(properties instanceof Object) && !(oneOf instanceof Array)) {
+      typeDefinition.primitive = true;
+    }
+
+    if (features instanceof Object) {
+      typeDefinition.features = features;
+    }
+
+    if (oneOf instanceof Array) {
+      typeDefinition.union = oneOf.map((memberSchema, index) =>
+        getValueTypeName(memberSchema, `${typeName}Member${index + 1}`)
+      );
+
+      if (discriminator instanceof Object) {
+        typeDefinition.discriminator = readDiscriminator(discriminator);
+      }
+    }
+
+    if (properties instanceof Object) {
+      typeDefinition.fields = {};
+
+      Object.keys(properties).forEach(fieldName => {
+        typeDefinition.fields[fieldName] = getFieldDescriptor(
+          typeName,
+          fieldName,
+          properties[fieldName],
+          required.indexOf(fieldName) !== -1
+        );
+      });
+    }
+  };
+  const { $ref, $defs = schema.definitions || {} } = schema;
+
+  Object.keys($defs).forEach(typeName => addType(typeName, $defs[typeName]));
+
+  if (typeof $ref !== 'string') {
+    addType(rootTypeName, schema);
+  }
+
+  return typeMap;
+};
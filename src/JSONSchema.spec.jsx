@@ -0,0 +1,336 @@
+import expect from 'expect.js';
+import AsynchronousTypeProcessor from './index';
+import UniversalTypeStructure from '../Universal Type Structure';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Integer: {
+    primitive: true
+  },
+  Address: {
+    label: 'Address',
+    remote: true
+  },
+  Contact: {
+    label: 'Contact',
+    fields: {
+      firstName: {
+        type: 'String',
+        label: 'First Name',
+        features: {
+          validation: {
+            required: true,
+            maxLength: 50
+          }
+        }
+      },
+      age: {
+        type: 'Integer',
+        features: {
+          validation: {
+            min: 0
+          }
+        }
+      },
+      addresses: {
+        type: 'Address',
+        multiple: true,
+        features: {
+          validation: {
+            maxItems: 3
+          }
+        }
+      }
+    }
+  }
+};
+
+const withoutNames = typeMap => Object.keys(typeMap).reduce(
+  (acc, typeName) => {
+    const { name, ...typeDefinition } = typeMap[typeName];
+
+    acc[typeName] = typeDefinition;
+
+    return acc;
+  },
+  {}
+);
+
+module.exports = {
+  JSONSchema: {
+    toJSONSchema: {
+      'should describe a type and its reachable types in $defs': async () => {
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP
+        });
+        const schema = await atp.toJSONSchema('Contact');
+        const { $defs: { Contact, Address, String } } = schema;
+
+        expect(schema.$ref).to.equal('#/$defs/Contact');
+        expect(Object.keys(schema.$defs))
+          .to.eql(['Contact', 'String', 'Integer', 'Address']);
+        expect(String).to.eql({ type: 'string' });
+        expect(Address).to.eql({
+          title: 'Address',
+          'x-remote': true
+        });
+        expect(Contact.title).to.equal('Contact');
+        expect(Contact.required).to.eql(['firstName']);
+        expect(Contact.properties.firstName).to.eql({
+          $ref: '#/$defs/String',
+          maxLength: 50,
+          title: 'First Name',
+          'x-features': TYPE_MAP.Contact.fields.firstName.features
+        });
+        expect(Contact.properties.age.minimum).to.equal(0);
+        expect(Contact.properties.addresses.type).to.equal('array');
+        expect(Contact.properties.addresses.maxItems).to.equal(3);
+        expect(Contact.properties.addresses.items)
+          .to.eql({ $ref: '#/$defs/Address' });
+      }
+    },
+    fromJSONSchema: {
+      'should create a type map from a plain JSON Schema': () => {
+        const typeMap = AsynchronousTypeProcessor.fromJSONSchema({
+          type: 'object',
+          title: 'Person',
+          required: ['name'],
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1
+            },
+            birthDate: {
+              type: 'string',
+              format: 'date'
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            home: {
+              type: 'object',
+              properties: {
+                city: {
+                  type: 'string'
+                }
+              }
+            }
+          }
+        }, 'Person');
+
+        expect(typeMap).to.eql({
+          String: {
+            primitive: true
+          },
+          Date: {
+            primitive: true
+          },
+          PersonHome: {
+            fields: {
+              city: {
+                type: 'String'
+              }
+            }
+          },
+          Person: {
+            label: 'Person',
+            fields: {
+              name: {
+                type: 'String',
+                features: {
+                  validation: {
+                    required: true,
+                    minLength: 1
+                  }
+                }
+              },
+              birthDate: {
+                type: 'Date'
+              },
+              tags: {
+                type: 'String',
+                multiple: true
+              },
+              home: {
+                type: 'PersonHome'
+              }
+            }
+          }
+        });
+      },
+      'should round-trip the Universal Type Structure': async () => {
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: UniversalTypeStructure
+        });
+        const schema = await atp.toJSONSchema('TypeName');
+        const typeMap = AsynchronousTypeProcessor.fromJSONSchema(schema);
+        const { TypeName, AnotherType } = withoutNames(UniversalTypeStructure);
+        const roundTripProcessor = new AsynchronousTypeProcessor({
+          typeMap
+        });
+
+        expect(typeMap).to.eql({
+          TypeName,
+          AnotherType
+        });
+        expect(await roundTripProcessor.toJSONSchema('TypeName'))
+          .to.eql(schema);
+      },
+      'should round-trip a type map with validation features': async () => {
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP
+        });
+        const typeMap = AsynchronousTypeProcessor.fromJSONSchema(
+          await atp.toJSONSchema('Contact')
+        );
+
+        expect(typeMap).to.eql(TYPE_MAP);
+      },
+      'should round-trip union types with a discriminator': async () => {
+        const unionTypeMap = {
+          String: {
+            primitive: true
+          },
+          Card: {
+            fields: {
+              kind: {
+                type: 'String'
+              },
+              number: {
+                type: 'String'
+              }
+            }
+          },
+          Cash: {
+            fields: {
+              kind: {
+                type: 'String'
+              },
+              currency: {
+                type: 'String'
+              }
+            }
+          },
+          Payment: {
+            union: ['Card', 'Cash'],
+            discriminator: {
+              field: 'kind',
+              mapping: {
+                card: 'Card',
+                cash: 'Cash'
+              }
+            }
+          },
+          Order: {
+            fields: {
+              payment: {
+                type: 'Payment'
+              }
+            }
+          }
+        };
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: unionTypeMap
+        });
+        const schema = JSON.parse(JSON.stringify(
+          await atp.toJSONSchema('Order')
+        ));
+        const typeMap = AsynchronousTypeProcessor.fromJSONSchema(schema);
+        const roundTripProcessor = new AsynchronousTypeProcessor({
+          typeMap
+        });
+
+        expect(schema.$defs.Payment.discriminator).to.eql({
+          propertyName: 'kind',
+          mapping: {
+            card: '#/$defs/Card',
+            cash: '#/$defs/Cash'
+          }
+        });
+        expect(typeMap.Payment).to.eql(unionTypeMap.Payment);
+        expect(await roundTripProcessor.processItem({
+          typeName: 'Order',
+          item: {
+            payment: {
+              kind: 'cash',
+              currency: 'EUR'
+            }
+          }
+        })).to.eql({
+          payment: {
+            kind: 'cash',
+            currency: 'EUR'
+          }
+        });
+      },
+      'should create types for inline oneOf members and empty schemas': () => {
+        const typeMap = AsynchronousTypeProcessor.fromJSONSchema({
+          type: 'object',
+          properties: {
+            id: {
+              oneOf: [
+                {
+                  type: 'string'
+                },
+                {
+                  type: 'object',
+                  properties: {
+                    key: {
+                      type: 'string'
+                    }
+                  }
+                },
+                {
+                  $ref: '#/$defs/Key'
+                }
+              ]
+            },
+            extra: {}
+          },
+          $defs: {
+            Key: {
+              type: 'integer'
+            }
+          }
+        }, 'Record');
+
+        expect(typeMap).to.eql({
+          Key: {
+            primitive: true
+          },
+          Record: {
+            fields: {
+              id: {
+                type: 'RecordId'
+              },
+              extra: {
+                type: 'RecordExtra'
+              }
+            }
+          },
+          RecordId: {
+            union: ['String', 'RecordIdMember2', 'Key']
+          },
+          String: {
+            primitive: true
+          },
+          RecordIdMember2: {
+            fields: {
+              key: {
+                type: 'String'
+              }
+            }
+          },
+          RecordExtra: {
+            primitive: true
+          }
+        });
+      }
+    }
+  }
+};
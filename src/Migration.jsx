@@ -0,0 +1,270 @@
+const valueExists = value => !(typeof value === 'undefined' || value === null);
+
+/**
+ * Get the migration steps of a type between two versions, in the order they
+ * apply. Starting at `fromVersion`, each step is the one step that migrates
+ * from the version reached so far, until `toVersion` is reached. Types with no
+ * migration steps are not migrated.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {string} typeName The name of the type.
+ * @param {number} fromVersion The version to migrate from.
+ * @param {number} toVersion The version to migrate to.
+ * @returns {Array.<Object>} The migration steps.
+ * */
+const getMigrationSteps = (processor, typeName, fromVersion, toVersion) => {
+  const typeSteps = processor.migrations
+    .filter(step => step.typeName === typeName);
+  const steps = [];
+
+  let version = fromVersion;
+
+  while (typeSteps.length && version < toVersion) {
+    const nextSteps = typeSteps.filter(step => step.fromVersion === version);
+    const [step] = nextSteps;
+
+    if (
+      nextSteps.length !== 1 ||
+      !(step.toVersion > version && step.toVersion <= toVersion)
+    ) {
+      const chainError = new TypeError(
+        processor.constructor.ERROR_MESSAGES.INVALID_MIGRATION_CHAIN
+      );
+
+      chainError.typeName = typeName;
+      chainError.fromVersion = version;
+      chainError.toVersion = toVersion;
+
+      throw chainError;
+    }
+
+    steps.push(step);
+    version = step.toVersion;
+  }
+
+  return steps;
+};
+
+/**
+ * Get the versions to migrate an item of a type between.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type.
+ * @param {Object.<string, number>} input.fromVersions The versions the items
+ * were stored with, by type name.
+ * @param {Object.<string, number>} input.toVersions The versions to migrate
+ * to, by type name.
+ * @returns {Object} The `fromVersion` and the `toVersion`.
+ * */
+const getVersionRange = async (processor, input) => {
+  const { typeName, fromVersions = {}, toVersions = {} } = input;
+  const fromVersion = valueExists(fromVersions[typeName])
+    ? fromVersions[typeName]
+    : 0;
+  const toVersion = valueExists(toVersions[typeName])
+    ? toVersions[typeName]
+    : (await processor.getTypeDefinition(typeName)).version;
+
+  if (valueExists(toVersion) && !(fromVersion <= toVersion)) {
+    const rangeError = new TypeError(
+      processor.constructor.ERROR_MESSAGES.INVALID_MIGRATION_RANGE
+    );
+
+    rangeError.typeName = typeName;
+    rangeError.fromVersion = fromVersion;
+    rangeError.toVersion = toVersion;
+
+    throw rangeError;
+  }
+
+  return {
+    fromVersion,
+    toVersion
+  };
+};
+
+/**
+ * Migrate a value of a type.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {*} input.value The value.
+ * @param {string} input.typeName The name of the type.
+ * @param {boolean} input.embedded When `true`, remote values are migrated as
+ * items.
+ * @returns {*} The migrated value.
+ * */
+const migrateValue = async (processor, input) => {
+  const { value, typeName, embedded } = input;
+
+  if (!valueExists(value)) {
+    return value;
+  }
+
+  const typeDefinition = await processor.getTypeDefinition(typeName);
+  const { primitive, remote, union } = typeDefinition;
+
+  if (union instanceof Array) {
+    return migrateValue(processor, {
+      ...input,
+      typeName: await processor.resolveUnionType({
+        value,
+        typeName
+      })
+    });
+  }
+
+  if (primitive || (remote && !embedded)) {
+    return value;
+  }
+
+  return migrateItemValue(processor, {
+    ...input,
+    item: value
+  });
+};
+
+/**
+ * Migrate an item of a type, then the items in its fields.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {Object} input.item The item.
+ * @param {string} input.typeName The name of the type.
+ * @param {Object.<string, number>} input.fromVersions The versions the items
+ * were stored with, by type name. Types without a version are migrated from
+ * version `0`.
+ * @param {Object.<string, number>} input.toVersions The versions to migrate
+ * to, by type name. Types without a version are migrated to their own
+ * `version`.
+ * @param {string} input.path The path to the item.
+ * @returns {Object} The migrated item.
+ * */
+const migrateItemValue = async (processor, input) => {
+  const { item, typeName, path } = input;
+  const { appendPath } = processor.constructor;
+  const { fromVersion, toVersion } = await getVersionRange(processor, input);
+  const steps = getMigrationSteps(
+    processor,
+    typeName,
+    fromVersion,
+    toVersion
+  );
+
+  let newItem = item;
+
+  for (let i = 0; i < steps.length; i++) {
+    const { migrate, fromVersion: stepFromVersion } = steps[i];
+
+    try {
+      newItem = await migrate(newItem, {
+        ...input,
+        fromVersion,
+        toVersion
+      });
+    } catch (error) {
+      if (error instanceof Object && typeof error.path === 'undefined') {
+        error.path = path;
+        error.typeName = typeName;
+        error.fromVersion = stepFromVersion;
+      }
+
+      throw error;
+    }
+  }
+
+  if (!(newItem instanceof Object)) {
+    return newItem;
+  }
+
+  const fieldList = await processor.getFieldList(typeName);
+
+  newItem = { ...newItem };
+
+  for (let i = 0; i < fieldList.length; i++) {
+    const fieldName = fieldList[i];
+    const value = newItem[fieldName];
+    const {
+      type: fieldTypeName,
+      multiple,
+      embedded
+    } = await processor.getFieldDescriptor(typeName, fieldName);
+    const fieldPath = appendPath(path, fieldName);
+
+    if (!valueExists(value) || !valueExists(fieldTypeName)) {
+      continue;
+    }
+
+    if (multiple && value instanceof Array) {
+      const newValue = [];
+
+      for (let j = 0; j < value.length; j++) {
+        newValue.push(await migrateValue(processor, {
+          ...input,
+          value: value[j],
+          typeName: fieldTypeName,
+          embedded,
+          path: appendPath(fieldPath, j)
+        }));
+      }
+
+      newItem[fieldName] = newValue;
+    } else {
+      newItem[fieldName] = await migrateValue(processor, {
+        ...input,
+        value,
+        typeName: fieldTypeName,
+        embedded,
+        path: fieldPath
+      });
+    }
+  }
+
+  return newItem;
+};
+
+/**
+ * Migrate an item, stored with the shape of an older version of the type map,
+ * to a newer version. The registered migration steps of the type of the item
+ * that fall between the two versions run in ascending order, then the items in
+ * its fields are migrated the same way, using the fields of the current type
+ * map. Each type is migrated between its own versions: from its version in
+ * `fromVersions`, or `0`, to its version in `toVersions`, or its own
+ * `version`. Types with no migration steps are unchanged. An
+ * `INVALID_MIGRATION_CHAIN` error is thrown when the steps of a type are
+ * missing a step, or have more than one step, from a version between the
+ * two. Primitive values and remote values are not migrated.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {Object} input.item The item.
+ * @param {string} input.typeName The name of the type.
+ * @param {number} input.fromVersion The version the item was stored with.
+ * Defaults to the version of the type in `fromVersions`, or `0`.
+ * @param {number} input.toVersion The version to migrate the item to.
+ * Defaults to the version of the type in `toVersions`, or the `version` of the
+ * type.
+ * @param {Object.<string, number>} input.fromVersions The versions the items
+ * in the fields were stored with, by type name.
+ * @param {Object.<string, number>} input.toVersions The versions to migrate
+ * the items in the fields to, by type name.
+ * @returns {Object} The migrated item.
+ * */
+export const migrateItem = async (processor, input) => {
+  const { item, typeName, fromVersions = {}, toVersions = {} } = input;
+  const {
+    fromVersion = fromVersions[typeName],
+    toVersion = toVersions[typeName]
+  } = input;
+
+  return migrateItemValue(processor, {
+    ...input,
+    item,
+    typeName,
+    fromVersions: {
+      ...fromVersions,
+      [typeName]: fromVersion
+    },
+    toVersions: {
+      ...toVersions,
+      [typeName]: toVersion
+    },
+    path: ''
+  });
+};
@@ -0,0 +1,244 @@
+/**
+ * Set the `path`, `typeName` and `fieldName` of an error, keeping any values
+ * it already has.
+ * @param {Error|*} error The error.
+ * @param {Object} location The location of the error.
+ * @param {string} location.path The path to the value that failed.
+ * @param {string} location.typeName The name of the type containing the field.
+ * @param {string} location.fieldName The name of the field.
+ * */
+export const annotateError = (error, location) => {
+  if (error instanceof Object) {
+    Object.keys(location).forEach(key => {
+      const value = location[key];
+
+      if (
+        typeof error[key] === 'undefined' &&
+        typeof value !== 'undefined'
+      ) {
+        error[key] = value;
+      }
+    });
+  }
+};
+
+/**
+ * Merge a property of a type definition with the same, already inherited,
+ * property of each of its base types. Later bases override earlier ones, and
+ * the type's own entries override all inherited entries.
+ * @param {Object|undefined} ownProperty The property of the type definition.
+ * @param {Array.<Object|undefined>} basePropertyList The inherited properties
+ * of the base types, in the order they are listed in `extends`.
+ * @returns {Object|undefined} The merged property or `undefined` when neither
+ * the type nor its bases define it.
+ * */
+export const mergeInheritedProperty = (ownProperty, basePropertyList) => [
+  ...basePropertyList,
+  ownProperty
+].reduce(
+  (property, entry) => entry instanceof Object
+    ? {
+      ...property,
+      ...entry
+    }
+    : property,
+  undefined
+);
+
+/**
+ * Get the member type name of a union value from the `discriminator` of the
+ * union type definition. The discriminator is either the name of the field on
+ * the value holding the member type name, or an object with a `field` and a
+ * `mapping` from field values to member type names.
+ * @param {string|Object} discriminator The discriminator.
+ * @param {*} value The value.
+ * @returns {string|undefined} The member type name, or `undefined` when there
+ * is no discriminator or the value is not an object.
+ * */
+export const getDiscriminatedTypeName = (discriminator, value) => {
+  if (
+    typeof discriminator === 'undefined' ||
+    discriminator === null ||
+    !(value instanceof Object)
+  ) {
+    return undefined;
+  }
+
+  const {
+    field = discriminator,
+    mapping = {}
+  } = discriminator instanceof Object ? discriminator : {};
+  const discriminatorValue = value[field];
+
+  return mapping.hasOwnProperty(discriminatorValue)
+    ? mapping[discriminatorValue]
+    : discriminatorValue;
+};
+
+/**
+ * Get the list of the names of the fields of a type that a selection
+ * includes. Selected computed fields include the fields they depend on.
+ * Selected fields that do not exist are reported as `NON_EXISTENT_FIELD`
+ * field errors of an `ITEM_ERROR`.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} input The input.
+ * @param {string} input.typeName The name of the type.
+ * @param {Array.<string>} input.fieldList The names of the fields of the
+ * type.
+ * @param {Array.<string>} input.computedFieldList The sorted names of the
+ * computed fields of the type.
+ * @param {Object.<string, Array.<string>>} input.dependencyMap A map of
+ * computed field names to the names of the fields they depend on.
+ * @param {Object} input.selection The nested selection.
+ * @param {string} input.path The path to the item, used to locate errors.
+ * @returns {Array.<string>} The list of selected field names.
+ * */
+export const selectFieldList = (processor, input) => {
+  const {
+    typeName,
+    fieldList,
+    computedFieldList,
+    dependencyMap,
+    selection,
+    path
+  } = input;
+  const { appendPath, ERROR_MESSAGES } = processor.constructor;
+  const selectedFieldList = Object.keys(selection)
+    .filter(fieldName => selection[fieldName]);
+  const errorFields = {};
+
+  selectedFieldList.forEach(fieldName => {
+    if (fieldList.indexOf(fieldName) === -1) {
+      const fieldError = new TypeError(ERROR_MESSAGES.NON_EXISTENT_FIELD);
+
+      annotateError(fieldError, {
+        path: appendPath(path, fieldName),
+        typeName,
+        fieldName
+      });
+
+      errorFields[fieldName] = fieldError;
+    }
+  });
+
+  if (Object.keys(errorFields).length) {
+    const itemError = new TypeError(ERROR_MESSAGES.ITEM_ERROR);
+
+    itemError.fields = errorFields;
+    itemError.path = path;
+    itemError.typeName = typeName;
+
+    throw itemError;
+  }
+
+  for (let i = computedFieldList.length - 1; i >= 0; i--) {
+    const fieldName = computedFieldList[i];
+
+    if (selectedFieldList.indexOf(fieldName) !== -1) {
+      (dependencyMap[fieldName] || [])
+        .filter(d => selectedFieldList.indexOf(d) === -1)
+        .forEach(d => selectedFieldList.push(d));
+    }
+  }
+
+  return fieldList
+    .filter(fieldName => selectedFieldList.indexOf(fieldName) !== -1);
+};
+
+/**
+ * The key of a nested selection that holds the selections that only apply to
+ * values of certain types, by type name, like the inline fragments of a
+ * GraphQL query, e.g. `{ id: true, $on: { Card: { number: true } } }`.
+ * @type {string}
+ * */
+export const TYPE_CONDITIONS_KEY = '$on';
+
+/**
+ * Merge two nested selections. A field selected with `true` stays fully
+ * selected.
+ * @param {Object} selection The first selection.
+ * @param {Object} otherSelection The second selection.
+ * @returns {Object} The merged selection.
+ * */
+export const mergeSelections = (selection, otherSelection) => Object
+  .keys(otherSelection)
+  .reduce(
+    (acc, key) => {
+      const value = acc[key];
+      const otherValue = otherSelection[key];
+
+      acc[key] = value instanceof Object && otherValue instanceof Object
+        ? mergeSelections({ ...value }, otherValue)
+        : value === true || otherValue;
+
+      return acc;
+    },
+    { ...selection }
+  );
+
+/**
+ * Apply the type conditions of a nested selection for a value. The
+ * selections for the given types are merged into the selection and the
+ * selections for other types are left out.
+ * @param {Object|undefined} selection The nested selection.
+ * @param {Array.<string>} typeNameList The names of the types of the value,
+ * e.g. a union type and its resolved member type.
+ * @returns {Object|undefined} The selection, without type conditions.
+ * */
+export const applyTypeConditions = (selection, typeNameList) => {
+  if (
+    !(selection instanceof Object) ||
+    !(selection[TYPE_CONDITIONS_KEY] instanceof Object)
+  ) {
+    return selection;
+  }
+
+  const {
+    [TYPE_CONDITIONS_KEY]: typeConditions,
+    ...commonSelection
+  } = selection;
+
+  // Conditions can be nested, e.g. a fragment on a union containing a
+  // fragment on one of its members.
+  return applyTypeConditions(
+    typeNameList
+      .filter(typeName => typeConditions.hasOwnProperty(typeName))
+      .reduce(
+        (acc, typeName) => mergeSelections(acc, typeConditions[typeName]),
+        commonSelection
+      ),
+    typeNameList
+  );
+};
+
+/**
+ * Assign a config to a new instance from the constructor of a base class.
+ * Class properties of subclasses are only set after the base constructor
+ * returns, so a config key that is not yet a property of the instance is
+ * defined as an accessor for the config value. The first assignment to that
+ * key, which sets the subclass default, keeps the config value instead.
+ * @param {Object} instance The new instance.
+ * @param {Object} config An object with properties to be assigned to the
+ * instance.
+ * */
+export const assignConfig = (instance, config) => Object
+  .keys(config)
+  .forEach(key => {
+    const value = config[key];
+
+    if (key in instance) {
+      instance[key] = value;
+    } else {
+      Object.defineProperty(instance, key, {
+        configurable: true,
+        enumerable: true,
+        get: () => value,
+        set: () => Object.defineProperty(instance, key, {
+          configurable: true,
+          enumerable: true,
+          writable: true,
+          value
+        })
+      });
+    }
+  });
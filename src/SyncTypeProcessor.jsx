@@ -0,0 +1,570 @@
+import AbstractTypeProcessor from './index';
+import { sortComputedFields } from './ComputedFields';
+import {
+  annotateError,
+  mergeInheritedProperty,
+  getDiscriminatedTypeName,
+  selectFieldList,
+  applyTypeConditions
+} from './ProcessingHelpers';
+
+/**
+ * A type processor with synchronous versions of the processing methods, for
+ * hot code paths where the type map and the hooks are synchronous.
+ *
+ * The `*Sync` methods follow the same dispatch rules and report the same
+ * error codes as their asynchronous counterparts. They read types from
+ * `typeMap`, not from a `registry`, and use the synchronous
+ * `processPrimitiveValueSync` and `processRemoteValueSync` hooks. Plugins,
+ * remote value batching, concurrency and timeouts only apply to the
+ * asynchronous methods.
+ *
+ * The type information needed to process a type is compiled into a plan the
+ * first time the type is processed. Call `clearTypePlans` after changing the
+ * type map.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class SyncTypeProcessor extends AbstractTypeProcessor {
+  /**
+   * The compiled plans, by type name.
+   * @member {Object.<string, Object>}
+   * */
+  typePlans = {};
+
+  /**
+   * Remove all compiled plans.
+   * */
+  clearTypePlans () {
+    this.typePlans = {};
+  }
+
+  /**
+   * Get a type definition from the type map.
+   * @param {string} typeName The name of the type.
+   * @returns {Object} The type definition.
+   * */
+  getTypeDefinitionSync (typeName) {
+    const typeDefinition = this.typeMap instanceof Object
+      ? this.typeMap[typeName]
+      : undefined;
+
+    if (typeDefinition instanceof Object) {
+      return typeDefinition;
+    }
+
+    throw new TypeError(SyncTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_TYPE);
+  }
+
+  /**
+   * Get a property of a type definition merged with the same property of all
+   * of its base types, like `getInheritedTypeProperty`.
+   * @param {string} typeName The name of the type.
+   * @param {string} propertyName The name of the property.
+   * @param {Array.<string>} visited The names of the types already visited.
+   * @returns {Object|undefined} The merged property.
+   * */
+  getInheritedTypePropertySync (typeName, propertyName, visited = []) {
+    if (visited.indexOf(typeName) !== -1) {
+      throw new TypeError(SyncTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE);
+    }
+
+    const typeDefinition = this.getTypeDefinitionSync(typeName);
+    const { [propertyName]: ownProperty } = typeDefinition;
+    const basePropertyList = SyncTypeProcessor
+      .getBaseTypeNameList(typeDefinition)
+      .map(name => this.getInheritedTypePropertySync(
+        name,
+        propertyName,
+        [...visited, typeName]
+      ));
+
+    return mergeInheritedProperty(ownProperty, basePropertyList);
+  }
+
+  /**
+   * Get the compiled plan for a type. The plan is compiled the first time it
+   * is requested.
+   * @param {string} typeName The name of the type.
+   * @returns {Object} The plan, with the flags of the type definition, the
+   * `features` of the type, the `fieldList`, the `fields` descriptors, the
+   * sorted `computedFieldList` and the `dependencyMap` of the computed
+   * fields.
+   * */
+  getTypePlan (typeName) {
+    if (this.typePlans.hasOwnProperty(typeName)) {
+      return this.typePlans[typeName];
+    }
+
+    const {
+      primitive,
+      remote,
+      union,
+      discriminator
+    } = this.getTypeDefinitionSync(typeName);
+    const fields = this.getInheritedTypePropertySync(typeName, 'fields');
+    const features = this.getInheritedTypePropertySync(
+      typeName,
+      'features'
+    ) || {};
+    const fieldList = fields instanceof Object ? Object.keys(fields) : [];
+    const dependencyMap = {};
+
+    fieldList.forEach(fieldName => {
+      const { computed } = fields[fieldName];
+
+      if (computed instanceof Object) {
+        dependencyMap[fieldName] = computed.dependsOn || [];
+      }
+    });
+
+    const {
+      fieldList: computedFieldList,
+      cycleFieldList
+    } = sortComputedFields(dependencyMap);
+
+    if (cycleFieldList.length) {
+      throw new TypeError(
+        SyncTypeProcessor.ERROR_MESSAGES.COMPUTED_FIELD_CYCLE
+      );
+    }
+
+    const plan = {
+      typeName,
+      primitive,
+      remote,
+      union,
+      discriminator,
+      features,
+      hasFields: fields instanceof Object,
+      fields: fields || {},
+      fieldList,
+      computedFieldList,
+      dependencyMap
+    };
+
+    this.typePlans[typeName] = plan;
+
+    return plan;
+  }
+
+  /**
+   * Process a primitive value synchronously.
+   * @abstract
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @returns {*} The processed value.
+   * */
+  processPrimitiveValueSync (input) {
+    const { value } = input;
+
+    return value;
+  }
+
+  /**
+   * Process a remote value synchronously.
+   * @abstract
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @returns {*} The processed value.
+   * */
+  processRemoteValueSync (input) {
+    const { value } = input;
+
+    return value;
+  }
+
+  /**
+   * Resolve the concrete member type of a union type for a value, like
+   * `resolveUnionType`. A `resolveType` type feature must be synchronous.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to resolve the type for.
+   * @param {string} input.typeName The name of the union type.
+   * @returns {string} The name of the member type.
+   * */
+  resolveUnionTypeSync (input) {
+    const { value, typeName } = input;
+    const {
+      union = [],
+      discriminator,
+      features: { resolveType }
+    } = this.getTypePlan(typeName);
+
+    const memberTypeName = resolveType instanceof Function
+      ? resolveType(value, input)
+      : getDiscriminatedTypeName(discriminator, value);
+
+    if (union.indexOf(memberTypeName) === -1) {
+      throw new TypeError(
+        SyncTypeProcessor.ERROR_MESSAGES.NO_MATCHING_UNION_MEMBER
+      );
+    }
+
+    return memberTypeName;
+  }
+
+  /**
+   * Process a value synchronously, like `processValue`.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type of the value.
+   * @param {boolean} input.embedded When `true`, a value of a remote type is
+   * processed inline as an item of that type.
+   * @returns {*} The processed value.
+   * */
+  processValueSync (input) {
+    const { value, typeName, embedded } = input;
+    const { primitive, remote, union } = this.getTypePlan(typeName);
+
+    if (union instanceof Array) {
+      if (!SyncTypeProcessor.valueExists(value)) {
+        return value;
+      }
+
+      const memberTypeName = this.resolveUnionTypeSync(input);
+
+      return this.processValueSync({
+        ...input,
+        typeName: memberTypeName,
+        select: applyTypeConditions(
+          SyncTypeProcessor.getSelection(input.select),
+          [typeName, memberTypeName]
+        )
+      });
+    }
+
+    if (primitive) {
+      return this.processPrimitiveValueSync(input);
+    }
+
+    if (remote && !embedded) {
+      return this.processRemoteValueSync(input);
+    }
+
+    return this.processItemSync({
+      ...input,
+      item: value
+    });
+  }
+
+  /**
+   * Process a list of values synchronously, like `processValueList`.
+   * @param {Object} input The input for the method.
+   * @param {Array.<*>} input.valueList The list of values to process.
+   * @param {string} input.typeName The name of the type of the values.
+   * @param {string} input.path The path to the list, used to locate errors.
+   * @returns {Array} The list of processed values.
+   * */
+  processValueListSync (input) {
+    const { valueList, fieldName, path = '' } = input;
+    const { appendPath, valueExists, ERROR_MESSAGES } = SyncTypeProcessor;
+
+    if (!(valueList instanceof Array)) {
+      if (!valueExists(valueList)) {
+        return valueList;
+      }
+
+      throw new TypeError(ERROR_MESSAGES.INVALID_VALUE_LIST);
+    }
+
+    const newList = [];
+    const errorIndices = {};
+
+    let hasErrors = false;
+
+    for (let i = 0; i < valueList.length; i++) {
+      const valuePath = appendPath(path, i);
+
+      try {
+        newList.push(this.processValueSync({
+          ...input,
+          value: valueList[i],
+          path: valuePath
+        }));
+      } catch (error) {
+        annotateError(error, {
+          path: valuePath,
+          fieldName
+        });
+        errorIndices[i] = error;
+        hasErrors = true;
+      }
+    }
+
+    if (hasErrors) {
+      const typeError = new TypeError(ERROR_MESSAGES.VALUE_LIST_ERROR);
+
+      typeError.indices = errorIndices;
+      typeError.path = path;
+      typeError.fieldName = fieldName;
+
+      throw typeError;
+    }
+
+    return newList;
+  }
+
+  /**
+   * Process a value for the given field of a given type synchronously, like
+   * `processFieldValue`.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @param {string} input.fieldName The name of the field.
+   * @returns {*} The processed value.
+   * */
+  processFieldValueSync (input) {
+    const { value, typeName, fieldName } = input;
+    const fieldDescriptor = this.getTypePlan(typeName).fields[fieldName];
+
+    if (!(fieldDescriptor instanceof Object)) {
+      throw new TypeError(SyncTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_FIELD);
+    }
+
+    const { type: fieldTypeName, multiple, embedded = false } = fieldDescriptor;
+    const valueInput = {
+      ...input,
+      typeName: fieldTypeName,
+      parentTypeName: typeName,
+      embedded
+    };
+
+    return multiple
+      ? this.processValueListSync({
+        ...valueInput,
+        valueList: value
+      })
+      : this.processValueSync({
+        ...valueInput,
+        value
+      });
+  }
+
+  /**
+   * Get the list of the names of the fields of a type plan that a selection
+   * includes, like `getSelectedFieldList`.
+   * @param {Object} plan The type plan.
+   * @param {Object} selection The nested selection.
+   * @param {string} path The path to the item, used to locate errors.
+   * @returns {Array.<string>} The list of selected field names.
+   * */
+  getSelectedFieldListSync (plan, selection, path) {
+    const { typeName, fieldList, computedFieldList, dependencyMap } = plan;
+
+    return selectFieldList(this, {
+      typeName,
+      fieldList,
+      computedFieldList,
+      dependencyMap,
+      selection,
+      path
+    });
+  }
+
+  /**
+   * Process an item of a given type synchronously, like `processItem`.
+   * @param {Object} input The input for the method.
+   * @param {Object|*} input.item The item to process.
+   * @param {string} input.typeName The name of the type.
+   * @param {string} input.path The path to the item, used to locate errors.
+   * @param {string} input.circularReferences The strategy, from
+   * `CIRCULAR_REFERENCE_STRATEGIES`, for items that contain themselves.
+   * @param {number} input.maxDepth The maximum number of nested items.
+   * @param {string} input.mode The item processing mode, from `ITEM_MODES`.
+   * @param {string} input.unknownFields The policy, from
+   * `UNKNOWN_FIELD_POLICIES`, for item keys that are not fields of the type.
+   * @param {Object|Array} input.select The fields to process.
+   * @returns {Object|*} The processed item.
+   * */
+  processItemSync (input) {
+    const {
+      item,
+      typeName,
+      path = '',
+      circularReferences = this.circularReferences,
+      maxDepth = this.maxDepth,
+      ancestors = [],
+      mode = this.mode,
+      unknownFields = this.unknownFields,
+      select
+    } = input;
+    const {
+      appendPath,
+      valueExists,
+      getSelection,
+      ERROR_MESSAGES,
+      CIRCULAR_REFERENCE_STRATEGIES: { SKIP, REUSE },
+      ITEM_MODES: { PARTIAL },
+      UNKNOWN_FIELD_POLICIES: { PASSTHROUGH, ERROR }
+    } = SyncTypeProcessor;
+
+    if (!(item instanceof Object)) {
+      if (!valueExists(item)) {
+        return item;
+      }
+
+      throw new TypeError(ERROR_MESSAGES.INVALID_ITEM);
+    }
+
+    for (let i = 0; i < ancestors.length; i++) {
+      if (ancestors[i].item === item) {
+        if (circularReferences === SKIP) {
+          return undefined;
+        }
+
+        if (circularReferences === REUSE) {
+          return ancestors[i].newItem;
+        }
+
+        throw new TypeError(ERROR_MESSAGES.CIRCULAR_REFERENCE);
+      }
+    }
+
+    if (ancestors.length >= maxDepth) {
+      throw new TypeError(ERROR_MESSAGES.MAX_DEPTH_EXCEEDED);
+    }
+
+    const plan = this.getTypePlan(typeName);
+
+    if (!plan.hasFields) {
+      throw new TypeError(ERROR_MESSAGES.MISSING_FIELDS_FOR_TYPE);
+    }
+
+    const { fields, fieldList: typeFieldList } = plan;
+    const selection = applyTypeConditions(getSelection(select), [typeName]);
+    const selectedFieldList = selection
+      ? this.getSelectedFieldListSync(plan, selection, path)
+      : typeFieldList;
+    const computedFieldList = selection
+      ? plan.computedFieldList
+        .filter(fieldName => selectedFieldList.indexOf(fieldName) !== -1)
+      : plan.computedFieldList;
+    const newItem = {};
+    const errorFields = {};
+    const processedFieldList = [];
+    const fieldAncestors = [
+      ...ancestors,
+      {
+        item,
+        newItem
+      }
+    ];
+    const processField = (fieldName, getValue) => {
+      const fieldPath = appendPath(path, fieldName);
+
+      try {
+        newItem[fieldName] = this.processFieldValueSync({
+          ...input,
+          value: getValue(),
+          typeName,
+          fieldName,
+          path: fieldPath,
+          ancestors: fieldAncestors,
+          select: selection && selection[fieldName] instanceof Object
+            ? selection[fieldName]
+            : undefined
+        });
+        processedFieldList.push(fieldName);
+      } catch (error) {
+        annotateError(error, {
+          path: fieldPath,
+          typeName,
+          fieldName
+        });
+
+        if (error.indices instanceof Object) {
+          Object.keys(error.indices).forEach(index => annotateError(
+            error.indices[index],
+            {
+              path: appendPath(fieldPath, parseInt(index, 10)),
+              typeName,
+              fieldName
+            }
+          ));
+        }
+
+        errorFields[fieldName] = error;
+      }
+    };
+
+    for (let i = 0; i < selectedFieldList.length; i++) {
+      const fieldName = selectedFieldList[i];
+      const { computed, default: defaultValue } = fields[fieldName];
+
+      if (
+        computed instanceof Object ||
+        (
+          mode === PARTIAL &&
+          !Object.prototype.hasOwnProperty.call(item, fieldName)
+        )
+      ) {
+        continue;
+      }
+
+      processField(fieldName, () => {
+        const value = item[fieldName];
+
+        if (valueExists(value) || typeof defaultValue === 'undefined') {
+          return value;
+        }
+
+        return defaultValue instanceof Function
+          ? defaultValue({
+            ...input,
+            item,
+            typeName,
+            fieldName
+          })
+          : defaultValue;
+      });
+    }
+
+    for (let i = 0; i < computedFieldList.length; i++) {
+      const fieldName = computedFieldList[i];
+      const { dependsOn = [], compute } = fields[fieldName].computed;
+
+      if (dependsOn.every(d => processedFieldList.indexOf(d) !== -1)) {
+        processField(fieldName, () => compute(newItem, {
+          ...input,
+          item,
+          typeName,
+          fieldName
+        }));
+      }
+    }
+
+    Object.keys(item).forEach(key => {
+      if (typeFieldList.indexOf(key) !== -1) {
+        return;
+      }
+
+      if (unknownFields === PASSTHROUGH) {
+        newItem[key] = item[key];
+      } else if (unknownFields === ERROR) {
+        const unknownFieldError = new TypeError(ERROR_MESSAGES.UNKNOWN_FIELD);
+
+        annotateError(unknownFieldError, {
+          path: appendPath(path, key),
+          typeName,
+          fieldName: key
+        });
+
+        errorFields[key] = unknownFieldError;
+      }
+    });
+
+    if (Object.keys(errorFields).length) {
+      const itemError = new TypeError(ERROR_MESSAGES.ITEM_ERROR);
+
+      itemError.fields = errorFields;
+      itemError.path = path;
+      itemError.typeName = typeName;
+
+      throw itemError;
+    }
+
+    return newItem;
+  }
+}
@@ -0,0 +1,236 @@
+import expect from 'expect.js';
+import SyncTypeProcessor from './SyncTypeProcessor';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Number: {
+    primitive: true
+  },
+  Address: {
+    remote: true
+  },
+  Circle: {
+    fields: {
+      kind: {
+        type: 'String'
+      },
+      radius: {
+        type: 'Number'
+      }
+    }
+  },
+  Square: {
+    fields: {
+      kind: {
+        type: 'String'
+      },
+      side: {
+        type: 'Number'
+      }
+    }
+  },
+  Shape: {
+    union: ['Circle', 'Square'],
+    discriminator: 'kind'
+  },
+  Contact: {
+    fields: {
+      firstName: {
+        type: 'String'
+      },
+      lastName: {
+        type: 'String',
+        default: 'Doe'
+      },
+      fullName: {
+        type: 'String',
+        computed: {
+          dependsOn: ['firstName', 'lastName'],
+          compute: ({ firstName, lastName }) => `${firstName} ${lastName}`
+        }
+      },
+      address: {
+        type: 'Address'
+      },
+      shapes: {
+        type: 'Shape',
+        multiple: true
+      }
+    }
+  }
+};
+
+const CONTACT = {
+  firstName: 'Jane',
+  address: 'A1',
+  shapes: [
+    {
+      kind: 'Circle',
+      radius: 1
+    },
+    {
+      kind: 'Square',
+      side: 2
+    }
+  ]
+};
+
+const INVALID_CONTACT = {
+  firstName: 'Jane',
+  shapes: [
+    {
+      kind: 'Triangle'
+    }
+  ],
+  nickname: 'JD'
+};
+
+const getErrorEntries = error => SyncTypeProcessor.flattenError(error)
+  .map(({ path, code, typeName, fieldName }) => ({
+    path,
+    code,
+    typeName,
+    fieldName
+  }));
+
+let stp;
+
+module.exports = {
+  SyncTypeProcessor: {
+    beforeEach: () => {
+      stp = new SyncTypeProcessor({
+        typeMap: TYPE_MAP,
+        processPrimitiveValue: async ({ value }) => value,
+        processRemoteValue: async ({ value }) => ({ id: value }),
+        processRemoteValueSync: ({ value }) => ({ id: value })
+      });
+    },
+    'should be a class': () => {
+      expect(SyncTypeProcessor).to.be.a(Function);
+    },
+    'should process items like the asynchronous methods': async () => {
+      const newItem = stp.processItemSync({
+        item: CONTACT,
+        typeName: 'Contact'
+      });
+
+      expect(newItem).to.eql(await stp.processItem({
+        item: CONTACT,
+        typeName: 'Contact'
+      }));
+      expect(newItem.fullName).to.equal('Jane Doe');
+      expect(newItem.address).to.eql({ id: 'A1' });
+    },
+    'should report the same errors as the asynchronous methods': async () => {
+      const input = {
+        item: INVALID_CONTACT,
+        typeName: 'Contact',
+        unknownFields: 'error'
+      };
+
+      let syncError;
+      let asyncError;
+
+      try {
+        stp.processItemSync(input);
+      } catch (error) {
+        syncError = error;
+      }
+
+      try {
+        await stp.processItem(input);
+      } catch (error) {
+        asyncError = error;
+      }
+
+      expect(getErrorEntries(syncError)).to.eql(getErrorEntries(asyncError));
+      expect(getErrorEntries(syncError).map(({ code }) => code)).to.eql([
+        'NO_MATCHING_UNION_MEMBER',
+        'UNKNOWN_FIELD'
+      ]);
+    },
+    'should support partial mode and selection': () => {
+      expect(stp.processItemSync({
+        item: CONTACT,
+        typeName: 'Contact',
+        select: ['fullName', 'shapes.kind']
+      })).to.eql({
+        firstName: 'Jane',
+        lastName: 'Doe',
+        fullName: 'Jane Doe',
+        shapes: [
+          {
+            kind: 'Circle'
+          },
+          {
+            kind: 'Square'
+          }
+        ]
+      });
+      expect(stp.processItemSync({
+        item: {
+          address: 'A2'
+        },
+        typeName: 'Contact',
+        mode: 'partial'
+      })).to.eql({
+        address: {
+          id: 'A2'
+        }
+      });
+    },
+    'should apply the selections for the type of union values': async () => {
+      const input = {
+        item: CONTACT,
+        typeName: 'Contact',
+        select: {
+          shapes: {
+            kind: true,
+            $on: {
+              Circle: {
+                radius: true
+              }
+            }
+          }
+        }
+      };
+      const newItem = stp.processItemSync(input);
+
+      expect(newItem).to.eql(await stp.processItem(input));
+      expect(newItem.shapes).to.eql([
+        {
+          kind: 'Circle',
+          radius: 1
+        },
+        {
+          kind: 'Square'
+        }
+      ]);
+    },
+    'should compile a plan once per type': () => {
+      stp.processValueListSync({
+        valueList: [CONTACT, CONTACT],
+        typeName: 'Contact'
+      });
+
+      const plan = stp.getTypePlan('Contact');
+
+      expect(plan.computedFieldList).to.eql(['fullName']);
+      expect(stp.getTypePlan('Contact')).to.be(plan);
+
+      stp.clearTypePlans();
+
+      expect(stp.getTypePlan('Contact')).not.to.be(plan);
+    },
+    'should throw an error for invalid value lists': () => {
+      expect(() => stp.processValueListSync({
+        valueList: 'Jane',
+        typeName: 'String'
+      })).to.throwError(error => {
+        expect(error.message).to.equal('INVALID_VALUE_LIST');
+      });
+    }
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Add a duration to a timing entry.
+ * @param {Object.<string, Object>} timings The timing entries by key.
+ * @param {string} key The key of the entry.
+ * @param {Object} event An end or `error` processing event.
+ * */
+const addTiming = (timings, key, event) => {
+  const { duration, error } = event;
+  const timing = timings[key] = timings[key] || {
+    count: 0,
+    errorCount: 0,
+    totalDuration: 0,
+    maxDuration: 0
+  };
+
+  timing.count++;
+  timing.totalDuration += duration;
+  timing.maxDuration = Math.max(timing.maxDuration, duration);
+  timing.averageDuration = timing.totalDuration / timing.count;
+
+  if (error) {
+    timing.errorCount++;
+  }
+};
+
+/**
+ * Collects the processing events of a type processor and builds timing
+ * reports and traces from them.
+ *
+ * Use the `observer` as the observer of a processor:
+ * `const stop = processor.observe(collector.observer);`
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class TimingCollector {
+  /**
+   * The collected end and `error` events.
+   * @member {Array.<Object>}
+   * */
+  events = [];
+
+  /**
+   * The observer to add to a type processor with `observe`.
+   * @member {Function}
+   * */
+  observer = event => this.collect(event);
+
+  constructor (config = {}) {
+    Object.assign(this, config);
+  }
+
+  /**
+   * Collect a processing event. Start events are skipped, since end and
+   * `error` events include the start time.
+   * @param {Object} event The event.
+   * */
+  collect (event) {
+    if (typeof event.duration === 'number') {
+      this.events.push(event);
+    }
+  }
+
+  /**
+   * Remove all collected events.
+   * */
+  clear () {
+    this.events = [];
+  }
+
+  /**
+   * Build a timing report from the collected events.
+   * @returns {Object} The report with `types`, timings of values by type name,
+   * `fields`, timings of field values by `Type.field` name, and `remote`,
+   * timings of remote values by type name. Each timing has a `count`, an
+   * `errorCount` and the `totalDuration`, `averageDuration` and `maxDuration`
+   * in milliseconds.
+   * */
+  getReport () {
+    const report = {
+      types: {},
+      fields: {},
+      remote: {}
+    };
+
+    this.events.forEach(event => {
+      const { step, typeName, fieldName } = event;
+
+      if (step === 'value') {
+        addTiming(report.types, typeName, event);
+      } else if (step === 'field') {
+        addTiming(report.fields, `${typeName}.${fieldName}`, event);
+      } else if (step === 'remote') {
+        addTiming(report.remote, typeName, event);
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * Build a trace, in the Trace Event Format used by the Chrome trace viewer,
+   * from the collected events.
+   * @returns {Object} The trace, with a complete event for each step.
+   * */
+  getChromeTrace () {
+    return {
+      displayTimeUnit: 'ms',
+      traceEvents: this.events.map(event => {
+        const {
+          step,
+          path,
+          typeName,
+          fieldName,
+          startTime,
+          duration,
+          error
+        } = event;
+        const args = {
+          path,
+          typeName
+        };
+
+        if (typeof fieldName !== 'undefined') {
+          args.fieldName = fieldName;
+        }
+
+        if (error) {
+          args.error = error instanceof Error ? error.message : `${error}`;
+        }
+
+        return {
+          name: `${step} ${path || typeName}`,
+          cat: step,
+          ph: 'X',
+          ts: Math.round(startTime * 1000),
+          dur: Math.round(duration * 1000),
+          pid: 1,
+          tid: 1,
+          args
+        };
+      })
+    };
+  }
+}
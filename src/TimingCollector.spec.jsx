@@ -0,0 +1,103 @@
+import expect from 'expect.js';
+import AsynchronousTypeProcessor from './index';
+import TimingCollector from './TimingCollector';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Address: {
+    remote: true
+  },
+  Contact: {
+    fields: {
+      firstName: {
+        type: 'String'
+      },
+      addresses: {
+        type: 'Address',
+        multiple: true
+      }
+    }
+  }
+};
+
+let atp;
+let collector;
+
+module.exports = {
+  TimingCollector: {
+    beforeEach: () => {
+      atp = new AsynchronousTypeProcessor({
+        typeMap: TYPE_MAP,
+        processRemoteValue: async ({ value }) => {
+          if (value === 'BAD') {
+            throw new TypeError('BAD_ADDRESS');
+          }
+
+          return value;
+        }
+      });
+      collector = new TimingCollector();
+      atp.observe(collector.observer);
+    },
+    'should build a per-type and per-field timing report': async () => {
+      await atp.processItem({
+        item: {
+          firstName: 'First',
+          addresses: ['A1', 'A2']
+        },
+        typeName: 'Contact'
+      });
+
+      try {
+        await atp.processItem({
+          item: {
+            addresses: ['BAD']
+          },
+          typeName: 'Contact'
+        });
+      } catch (error) {
+        // Expected.
+      }
+
+      const { types, fields, remote } = collector.getReport();
+
+      expect(Object.keys(types)).to.eql(['String', 'Address']);
+      expect(types.Address.count).to.equal(3);
+      expect(types.Address.errorCount).to.equal(1);
+      expect(fields['Contact.firstName'].count).to.equal(2);
+      expect(fields['Contact.addresses'].errorCount).to.equal(1);
+      expect(remote.Address.count).to.equal(3);
+      expect(remote.Address.averageDuration).to.equal(
+        remote.Address.totalDuration / 3
+      );
+      expect(remote.Address.maxDuration).to.be.a('number');
+    },
+    'should build a Chrome trace': async () => {
+      await atp.processItem({
+        item: {
+          firstName: 'First'
+        },
+        typeName: 'Contact'
+      });
+
+      const { traceEvents } = collector.getChromeTrace();
+      const itemEvent = traceEvents[traceEvents.length - 1];
+
+      expect(traceEvents.length).to.equal(5);
+      expect(itemEvent.name).to.equal('item Contact');
+      expect(itemEvent.ph).to.equal('X');
+      expect(itemEvent.ts).to.be.a('number');
+      expect(itemEvent.dur).to.be.a('number');
+      expect(itemEvent.args).to.eql({
+        path: '',
+        typeName: 'Contact'
+      });
+
+      collector.clear();
+
+      expect(collector.getChromeTrace().traceEvents).to.eql([]);
+    }
+  }
+};
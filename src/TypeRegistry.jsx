@@ -0,0 +1,123 @@
+import AbstractTypeProcessor from './index';
+import { assignConfig } from './ProcessingHelpers';
+
+/**
+ * A source of type definitions that an `AbstractTypeProcessor` can delegate
+ * to through its `registry` property.
+ * Loaded type definitions are cached until they are invalidated.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class TypeRegistry {
+  /**
+   * When `true`, loaded type definitions are cached.
+   * @member {boolean}
+   * */
+  cache = true;
+
+  /**
+   * A map of type names to cached type definition promises.
+   * @member {Object.<string, Promise>}
+   * */
+  cachedTypeDefinitions = {};
+
+  constructor (config = {}) {
+    assignConfig(this, config);
+  }
+
+  /**
+   * Load a type definition by name from the underlying source.
+   * @abstract
+   * @param {string} typeName The name of the type.
+   * @returns {Object|undefined} The type definition or `undefined` if none
+   * exists.
+   * */
+  async loadTypeDefinition (typeName) {
+    return undefined;
+  }
+
+  /**
+   * Get the list of the names of all types in the underlying source.
+   * @abstract
+   * @returns {Array.<string>} The list of type names.
+   * */
+  async getTypeNameList () {
+    return [];
+  }
+
+  /**
+   * Find a type definition by name, using the cache when enabled.
+   * Missing type definitions are not cached.
+   * @param {string} typeName The name of the type.
+   * @returns {Object|undefined} The type definition or `undefined` if none
+   * exists.
+   * */
+  async findTypeDefinition (typeName) {
+    if (!this.cache) {
+      return this.loadTypeDefinition(typeName);
+    }
+
+    if (!this.cachedTypeDefinitions.hasOwnProperty(typeName)) {
+      this.cachedTypeDefinitions[typeName] = this.loadTypeDefinition(typeName);
+    }
+
+    const cachedTypeDefinition = this.cachedTypeDefinitions[typeName];
+
+    let typeDefinition;
+
+    try {
+      typeDefinition = await cachedTypeDefinition;
+    } catch (error) {
+      this.removeCachedTypeDefinition(typeName, cachedTypeDefinition);
+
+      throw error;
+    }
+
+    if (!(typeDefinition instanceof Object)) {
+      this.removeCachedTypeDefinition(typeName, cachedTypeDefinition);
+    }
+
+    return typeDefinition;
+  }
+
+  /**
+   * Remove a cached type definition if it has not already been replaced.
+   * @param {string} typeName The name of the type.
+   * @param {Promise} cachedTypeDefinition The cached type definition promise.
+   * */
+  removeCachedTypeDefinition (typeName, cachedTypeDefinition) {
+    if (this.cachedTypeDefinitions[typeName] === cachedTypeDefinition) {
+      delete this.cachedTypeDefinitions[typeName];
+    }
+  }
+
+  /**
+   * Get a type definition by name.
+   * @param {string} typeName The name of the type.
+   * @returns {Object} A type definition.
+   * */
+  async getTypeDefinition (typeName) {
+    const typeDefinition = await this.findTypeDefinition(typeName);
+
+    if (typeDefinition instanceof Object) {
+      return typeDefinition;
+    }
+
+    throw new TypeError(
+      AbstractTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_TYPE
+    );
+  }
+
+  /**
+   * Remove a type definition, or all type definitions, from the cache.
+   * @param {string} typeName The name of the type. When omitted, the whole
+   * cache is cleared.
+   * */
+  invalidate (typeName) {
+    if (typeof typeName === 'undefined') {
+      this.cachedTypeDefinitions = {};
+    } else {
+      delete this.cachedTypeDefinitions[typeName];
+    }
+  }
+}
@@ -0,0 +1,180 @@
+import expect from 'expect.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AsynchronousTypeProcessor from './index';
+import TypeRegistry from './TypeRegistry';
+import InMemoryTypeRegistry from './InMemoryTypeRegistry';
+import DirectoryTypeRegistry from './DirectoryTypeRegistry';
+import CompositeTypeRegistry from './CompositeTypeRegistry';
+
+let directory;
+
+const writeTypeFile = (fileName, content) => fs.writeFileSync(
+  path.join(directory, fileName),
+  content
+);
+
+module.exports = {
+  TypeRegistry: {
+    'should cache loaded type definitions until invalidated': async () => {
+      let loadCount = 0;
+
+      class CountingRegistry extends TypeRegistry {
+        async loadTypeDefinition (typeName) {
+          loadCount++;
+
+          return typeName === 'Contact' ? { fields: {} } : undefined;
+        }
+      }
+
+      const registry = new CountingRegistry();
+
+      await Promise.all([
+        registry.getTypeDefinition('Contact'),
+        registry.getTypeDefinition('Contact')
+      ]);
+      expect(loadCount).to.equal(1);
+
+      registry.invalidate('Contact');
+      await registry.getTypeDefinition('Contact');
+      expect(loadCount).to.equal(2);
+    },
+    'should throw a TypeError for missing types': async () => {
+      const registry = new InMemoryTypeRegistry();
+
+      let error;
+
+      try {
+        await registry.getTypeDefinition('Missing');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.a(TypeError);
+      expect(error.message).to.equal(
+        AsynchronousTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_TYPE
+      );
+    },
+    InMemoryTypeRegistry: {
+      'should replace type definitions': async () => {
+        const registry = new InMemoryTypeRegistry({
+          typeMap: {
+            String: {
+              primitive: true
+            }
+          }
+        });
+
+        expect(await registry.getTypeDefinition('String'))
+          .to.eql({ primitive: true });
+
+        registry.setTypeDefinition('String', { primitive: true, label: 'S' });
+
+        expect((await registry.getTypeDefinition('String')).label)
+          .to.equal('S');
+        expect(await registry.getTypeNameList()).to.eql(['String']);
+      }
+    },
+    DirectoryTypeRegistry: {
+      beforeEach: () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'atp-'));
+      },
+      afterEach: () => {
+        fs.readdirSync(directory).forEach(
+          fileName => fs.unlinkSync(path.join(directory, fileName))
+        );
+        fs.rmdirSync(directory);
+        directory = undefined;
+      },
+      'should lazily load type definitions from files': async () => {
+        writeTypeFile('String.json', JSON.stringify({ primitive: true }));
+        writeTypeFile(
+          'Contact.js',
+          'module.exports = { fields: { name: { type: "String" } } };'
+        );
+        writeTypeFile('Address.yaml', 'remote: true');
+        writeTypeFile('notes.txt', 'Not a type.');
+
+        const registry = new DirectoryTypeRegistry({
+          directory,
+          parsers: {
+            '.yaml': text => ({ remote: text.indexOf('remote: true') !== -1 })
+          }
+        });
+
+        expect((await registry.getTypeNameList()).sort())
+          .to.eql(['Address', 'Contact', 'String']);
+        expect(await registry.getTypeDefinition('Address'))
+          .to.eql({ remote: true });
+        expect(await registry.findTypeDefinition('notes'))
+          .to.be(undefined);
+
+        const atp = new AsynchronousTypeProcessor({
+          registry
+        });
+
+        expect(await atp.processItem({
+          item: {
+            name: 'Name',
+            other: 'Other'
+          },
+          typeName: 'Contact'
+        })).to.eql({ name: 'Name' });
+      },
+      'should reload changed files after invalidation': async () => {
+        const registry = new DirectoryTypeRegistry({
+          directory
+        });
+
+        writeTypeFile('String.json', JSON.stringify({ label: 'Before' }));
+        expect((await registry.getTypeDefinition('String')).label)
+          .to.equal('Before');
+
+        writeTypeFile('String.json', JSON.stringify({ label: 'After' }));
+        expect((await registry.getTypeDefinition('String')).label)
+          .to.equal('Before');
+
+        registry.invalidate();
+        expect((await registry.getTypeDefinition('String')).label)
+          .to.equal('After');
+      }
+    },
+    CompositeTypeRegistry: {
+      'should use the first registry that has a type': async () => {
+        const base = new InMemoryTypeRegistry({
+          typeMap: {
+            String: {
+              primitive: true
+            },
+            Contact: {
+              label: 'Base Contact',
+              fields: {}
+            }
+          }
+        });
+        const overrides = new InMemoryTypeRegistry({
+          typeMap: {
+            Contact: {
+              label: 'Contact',
+              fields: {}
+            }
+          }
+        });
+        const registry = new CompositeTypeRegistry({
+          registries: [overrides, base]
+        });
+
+        expect((await registry.getTypeDefinition('Contact')).label)
+          .to.equal('Contact');
+        expect(await registry.getTypeNameList()).to.eql(['Contact', 'String']);
+
+        overrides.typeMap = {};
+        registry.invalidate('Contact');
+
+        expect((await registry.getTypeDefinition('Contact')).label)
+          .to.equal('Base Contact');
+      }
+    }
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * TypeScript types for commonly named primitive types.
+ * @type {Object.<string, string>}
+ * */
+export const PRIMITIVE_TYPESCRIPT_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Integer: 'number',
+  Boolean: 'boolean',
+  Date: 'string',
+  DateTime: 'string',
+  BigInt: 'bigint'
+};
+
+/**
+ * The TypeScript type used for primitive and remote types with no mapping.
+ * @type {string}
+ * */
+export const DEFAULT_TYPESCRIPT_TYPE = 'unknown';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Format a property name as a valid property key.
+ * @param {string} name The property name.
+ * @returns {string} The property key.
+ * */
+const getPropertyKey = name => IDENTIFIER_PATTERN.test(name)
+  ? name
+  : JSON.stringify(name);
+
+/**
+ * Format a label as a doc comment.
+ * @param {string} label The label.
+ * @param {string} indent The indentation for each line.
+ * @returns {Array.<string>} The lines of the doc comment.
+ * */
+const getDocCommentLines = (label, indent = '') => typeof label === 'undefined'
+  ? []
+  : [`${indent}/** ${`${label}`.replace(/\*\//g, '*\\/')} */`];
+
+/**
+ * Generate TypeScript declarations for every type in a type map.
+ * Non-primitive types become interfaces, with optional properties unless the
+ * `validation` feature marks a field as `required`, and array properties for
+ * `multiple` fields. Inherited fields are included in each interface. Union
+ * types become union type aliases. Primitive and remote types become type
+ * aliases using `typeMapping`.
+ * @param {AbstractTypeProcessor} processor The type processor.
+ * @param {Object} options The options.
+ * @param {Object.<string, string>} options.typeMapping A map of primitive and
+ * remote type names to TypeScript types. Merged with
+ * `PRIMITIVE_TYPESCRIPT_TYPES`.
+ * @param {string} options.header Text placed before the declarations.
+ * @returns {string} The declarations.
+ * */
+export const toTypeScriptDeclarations = async (processor, options = {}) => {
+  const {
+    typeMapping = {},
+    header = '// Generated from a type map. Do not edit.'
+  } = options;
+  const mapping = {
+    ...PRIMITIVE_TYPESCRIPT_TYPES,
+    ...typeMapping
+  };
+  const typeNameList = await processor.getTypeNameList();
+  const declarations = [];
+
+  for (let i = 0; i < typeNameList.length; i++) {
+    const typeName = typeNameList[i];
+    const typeDefinition = await processor.getTypeDefinition(typeName);
+    const { label, primitive, remote, union } = typeDefinition;
+    const lines = getDocCommentLines(label);
+
+    if (union instanceof Array) {
+      lines.push(`export type ${typeName} = ${union.join(' | ')};`);
+    } else if (primitive || remote) {
+      const tsType = mapping.hasOwnProperty(typeName)
+        ? mapping[typeName]
+        : DEFAULT_TYPESCRIPT_TYPE;
+
+      lines.push(`export type ${typeName} = ${tsType};`);
+    } else {
+      const fieldList = await processor.getFieldList(typeName);
+
+      lines.push(`export interface ${typeName} {`);
+
+      for (let j = 0; j < fieldList.length; j++) {
+        const fieldName = fieldList[j];
+        const {
+          type: fieldTypeName = DEFAULT_TYPESCRIPT_TYPE,
+          label: fieldLabel,
+          multiple,
+          features: { validation = {} } = {}
+        } = await processor.getFieldDescriptor(typeName, fieldName);
+        const optional = validation.required ? '' : '?';
+        const tsType = multiple ? `${fieldTypeName}[]` : fieldTypeName;
+
+        lines.push(
+          ...getDocCommentLines(fieldLabel, '  '),
+          `  ${getPropertyKey(fieldName)}${optional}: ${tsType};`
+        );
+      }
+
+      lines.push('}');
+    }
+
+    declarations.push(lines.join('\n'));
+  }
+
+  return [
+    ...(header ? [header] : []),
+    ...declarations
+  ].join('\n\n') + '\n';
+};
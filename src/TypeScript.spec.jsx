@@ -0,0 +1,139 @@
+import expect from 'expect.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import AsynchronousTypeProcessor from './index';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Address: {
+    remote: true
+  },
+  Entity: {
+    fields: {
+      id: {
+        type: 'String',
+        features: {
+          validation: {
+            required: true
+          }
+        }
+      }
+    }
+  },
+  Contact: {
+    label: 'A Contact',
+    extends: 'Entity',
+    fields: {
+      firstName: {
+        type: 'String',
+        label: 'First Name'
+      },
+      addresses: {
+        type: 'Address',
+        multiple: true
+      },
+      'home-phone': {
+        type: 'String'
+      }
+    }
+  },
+  Party: {
+    union: ['Contact', 'Entity']
+  }
+};
+
+const SCRIPT_PATH = path.join(
+  __dirname,
+  '..',
+  'scripts',
+  'generate-type-declarations.js'
+);
+
+const EXPECTED_DECLARATIONS = `// Generated from a type map. Do not edit.
+
+export type String = string;
+
+export type Address = { id: string };
+
+export interface Entity {
+  id: String;
+}
+
+/** A Contact */
+export interface Contact {
+  id: String;
+  /** First Name */
+  firstName?: String;
+  addresses?: Address[];
+  "home-phone"?: String;
+}
+
+export type Party = Contact | Entity;
+`;
+
+module.exports = {
+  TypeScript: {
+    toTypeScriptDeclarations: {
+      'should generate declarations for every type': async () => {
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP
+        });
+        const declarations = await atp.toTypeScriptDeclarations({
+          typeMapping: {
+            Address: '{ id: string }'
+          }
+        });
+
+        expect(declarations).to.equal(EXPECTED_DECLARATIONS);
+      },
+      'should use unknown for unmapped types': async () => {
+        const atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            Address: {
+              remote: true
+            }
+          }
+        });
+
+        expect(await atp.toTypeScriptDeclarations({
+          header: ''
+        })).to.equal('export type Address = unknown;\n');
+      }
+    },
+    'generate-type-declarations script': {
+      'should write the declarations for a type map module': () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'atp-'));
+        const typeMapPath = path.join(directory, 'typeMap.json');
+        const outputPath = path.join(directory, 'types.d.ts');
+
+        fs.writeFileSync(typeMapPath, JSON.stringify(TYPE_MAP));
+
+        try {
+          execFileSync(process.execPath, [
+            SCRIPT_PATH,
+            typeMapPath,
+            outputPath,
+            JSON.stringify({
+              Address: '{ id: string }'
+            })
+          ]);
+
+          expect(fs.readFileSync(outputPath, 'utf8'))
+            .to.equal(EXPECTED_DECLARATIONS);
+        } finally {
+          fs.unlinkSync(typeMapPath);
+
+          if (fs.existsSync(outputPath)) {
+            fs.unlinkSync(outputPath);
+          }
+
+          fs.rmdirSync(directory);
+        }
+      }
+    }
+  }
+};
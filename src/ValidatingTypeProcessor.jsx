@@ -0,0 +1,245 @@
+import AbstractTypeProcessor from './index';
+
+/**
+ * A type processor that validates field values using the `validation` field
+ * feature.
+ *
+ * Supported `validation` rules:
+ * - `required`: The value must exist.
+ * - `min`/`max`: Numeric bounds for each value.
+ * - `minLength`/`maxLength`: Length bounds for each value.
+ * - `pattern`: A `RegExp` or a pattern string that each value must match.
+ * - `enum`: A list of allowed values.
+ * - `minItems`/`maxItems`: Length bounds for the list of a `multiple` field.
+ * - `validators`: A function, or a list of functions, called with each value
+ * and the input. A validator fails by returning `false` or a message string,
+ * or by throwing.
+ * @param {Object} config An object with properties to be assigned to the new
+ * instance.
+ * */
+export default class ValidatingTypeProcessor extends AbstractTypeProcessor {
+  static ERROR_MESSAGES = {
+    ...AbstractTypeProcessor.ERROR_MESSAGES,
+    VALUE_REQUIRED: 'VALUE_REQUIRED',
+    VALUE_BELOW_MIN: 'VALUE_BELOW_MIN',
+    VALUE_ABOVE_MAX: 'VALUE_ABOVE_MAX',
+    VALUE_TOO_SHORT: 'VALUE_TOO_SHORT',
+    VALUE_TOO_LONG: 'VALUE_TOO_LONG',
+    PATTERN_MISMATCH: 'PATTERN_MISMATCH',
+    VALUE_NOT_ALLOWED: 'VALUE_NOT_ALLOWED',
+    TOO_FEW_ITEMS: 'TOO_FEW_ITEMS',
+    TOO_MANY_ITEMS: 'TOO_MANY_ITEMS',
+    VALIDATOR_FAILED: 'VALIDATOR_FAILED'
+  };
+
+  /**
+   * The name of the field feature containing the validation rules.
+   * @member {string}
+   * */
+  validationFeatureName = 'validation';
+
+  /**
+   * Create a validation error.
+   * @param {string} message The error message.
+   * @param {string} rule The name of the rule that failed.
+   * @param {*} constraint The rule configuration.
+   * @returns {TypeError} The validation error.
+   * */
+  static getValidationError (message, rule, constraint) {
+    const validationError = new TypeError(message);
+
+    validationError.rule = rule;
+    validationError.constraint = constraint;
+
+    return validationError;
+  }
+
+  /**
+   * Validate a single, existing value against a set of validation rules.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to validate.
+   * @param {Object} input.validation The validation rules.
+   * @returns {TypeError|undefined} The first validation error or `undefined`
+   * if the value is valid.
+   * */
+  async validateValue (input) {
+    const { value, validation } = input;
+    const {
+      VALUE_BELOW_MIN,
+      VALUE_ABOVE_MAX,
+      VALUE_TOO_SHORT,
+      VALUE_TOO_LONG,
+      PATTERN_MISMATCH,
+      VALUE_NOT_ALLOWED,
+      VALIDATOR_FAILED
+    } = ValidatingTypeProcessor.ERROR_MESSAGES;
+    const { getValidationError } = ValidatingTypeProcessor;
+    const {
+      min,
+      max,
+      minLength,
+      maxLength,
+      pattern,
+      enum: allowedValues,
+      validators = []
+    } = validation;
+    const { length } = value instanceof Object || typeof value === 'string'
+      ? value
+      : {};
+
+    if (typeof min !== 'undefined' && value < min) {
+      return getValidationError(VALUE_BELOW_MIN, 'min', min);
+    }
+
+    if (typeof max !== 'undefined' && value > max) {
+      return getValidationError(VALUE_ABOVE_MAX, 'max', max);
+    }
+
+    if (typeof minLength !== 'undefined' && !(length >= minLength)) {
+      return getValidationError(VALUE_TOO_SHORT, 'minLength', minLength);
+    }
+
+    if (typeof maxLength !== 'undefined' && !(length <= maxLength)) {
+      return getValidationError(VALUE_TOO_LONG, 'maxLength', maxLength);
+    }
+
+    if (typeof pattern !== 'undefined') {
+      const regExp = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+
+      if (!regExp.test(`${value}`)) {
+        return getValidationError(PATTERN_MISMATCH, 'pattern', pattern);
+      }
+    }
+
+    if (
+      allowedValues instanceof Array &&
+      allowedValues.indexOf(value) === -1
+    ) {
+      return getValidationError(VALUE_NOT_ALLOWED, 'enum', allowedValues);
+    }
+
+    const validatorList = validators instanceof Array
+      ? validators
+      : [validators];
+
+    for (let i = 0; i < validatorList.length; i++) {
+      const validator = validatorList[i];
+
+      let result;
+
+      try {
+        result = await validator(value, input);
+      } catch (error) {
+        return error;
+      }
+
+      if (result === false || typeof result === 'string') {
+        const validatorError = getValidationError(
+          VALIDATOR_FAILED,
+          'validators',
+          validator
+        );
+
+        if (typeof result === 'string') {
+          validatorError.detail = result;
+        }
+
+        return validatorError;
+      }
+    }
+  }
+
+  /**
+   * Process and then validate a value for the given field of a given type.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @param {string} input.fieldName The name of the field.
+   * @returns {*} The processed value.
+   * */
+  async processFieldValue (input) {
+    const { typeName, fieldName, path } = input;
+    const validation = await this.getFieldFeature(
+      typeName,
+      fieldName,
+      this.validationFeatureName
+    );
+    const newValue = await super.processFieldValue(input);
+
+    if (!(validation instanceof Object)) {
+      return newValue;
+    }
+
+    const {
+      VALUE_REQUIRED,
+      TOO_FEW_ITEMS,
+      TOO_MANY_ITEMS,
+      VALUE_LIST_ERROR
+    } = ValidatingTypeProcessor.ERROR_MESSAGES;
+    const { getValidationError, valueExists } = ValidatingTypeProcessor;
+    const { multiple } = await this.getFieldDescriptor(typeName, fieldName);
+    const { required, minItems, maxItems } = validation;
+
+    if (!valueExists(newValue)) {
+      if (required) {
+        throw getValidationError(VALUE_REQUIRED, 'required', required);
+      }
+
+      return newValue;
+    }
+
+    if (!multiple) {
+      const valueError = await this.validateValue({
+        ...input,
+        value: newValue,
+        validation
+      });
+
+      if (valueError) {
+        throw valueError;
+      }
+
+      return newValue;
+    }
+
+    if (typeof minItems !== 'undefined' && newValue.length < minItems) {
+      throw getValidationError(TOO_FEW_ITEMS, 'minItems', minItems);
+    }
+
+    if (typeof maxItems !== 'undefined' && newValue.length > maxItems) {
+      throw getValidationError(TOO_MANY_ITEMS, 'maxItems', maxItems);
+    }
+
+    const errorIndices = {};
+
+    for (let i = 0; i < newValue.length; i++) {
+      const value = newValue[i];
+
+      if (!valueExists(value)) {
+        continue;
+      }
+
+      const valueError = await this.validateValue({
+        ...input,
+        value,
+        validation
+      });
+
+      if (valueError) {
+        errorIndices[i] = valueError;
+      }
+    }
+
+    if (Object.keys(errorIndices).length) {
+      const typeError = new TypeError(VALUE_LIST_ERROR);
+
+      typeError.indices = errorIndices;
+      typeError.path = path;
+      typeError.fieldName = fieldName;
+
+      throw typeError;
+    }
+
+    return newValue;
+  }
+}
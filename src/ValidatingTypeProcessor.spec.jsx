@@ -0,0 +1,206 @@
+import expect from 'expect.js';
+import ValidatingTypeProcessor from './ValidatingTypeProcessor';
+
+const TYPE_MAP = {
+  String: {
+    primitive: true
+  },
+  Number: {
+    primitive: true
+  },
+  Contact: {
+    fields: {
+      firstName: {
+        type: 'String',
+        features: {
+          validation: {
+            required: true,
+            minLength: 2,
+            pattern: '^[A-Z]'
+          }
+        }
+      },
+      age: {
+        type: 'Number',
+        features: {
+          validation: {
+            min: 0,
+            max: 150
+          }
+        }
+      },
+      role: {
+        type: 'String',
+        features: {
+          validation: {
+            enum: ['admin', 'user']
+          }
+        }
+      },
+      tags: {
+        type: 'String',
+        multiple: true,
+        features: {
+          validation: {
+            minItems: 1,
+            maxItems: 3,
+            maxLength: 5
+          }
+        }
+      },
+      email: {
+        type: 'String',
+        features: {
+          validation: {
+            validators: [
+              async value => value.indexOf('@') !== -1 || 'Missing @.'
+            ]
+          }
+        }
+      }
+    }
+  }
+};
+
+const VALID_CONTACT = {
+  firstName: 'First',
+  age: 30,
+  role: 'user',
+  tags: ['a', 'b'],
+  email: 'first@example.com'
+};
+
+let vtp;
+
+const getItemError = async item => {
+  try {
+    await vtp.processItem({
+      item,
+      typeName: 'Contact'
+    });
+  } catch (error) {
+    return error;
+  }
+};
+
+module.exports = {
+  ValidatingTypeProcessor: {
+    beforeEach: () => {
+      vtp = new ValidatingTypeProcessor({
+        typeMap: TYPE_MAP
+      });
+    },
+    afterEach: () => {
+      vtp = undefined;
+    },
+    'should process a valid item': async () => {
+      const newItem = await vtp.processItem({
+        item: VALID_CONTACT,
+        typeName: 'Contact'
+      });
+
+      expect(newItem).to.eql(VALID_CONTACT);
+    },
+    'should report field rule failures in the item error': async () => {
+      const {
+        ITEM_ERROR,
+        VALUE_REQUIRED,
+        VALUE_ABOVE_MAX,
+        VALUE_NOT_ALLOWED,
+        VALIDATOR_FAILED
+      } = ValidatingTypeProcessor.ERROR_MESSAGES;
+      const error = await getItemError({
+        ...VALID_CONTACT,
+        firstName: undefined,
+        age: 200,
+        role: 'owner',
+        email: 'first'
+      });
+
+      expect(error.message).to.equal(ITEM_ERROR);
+      expect(error.fields.firstName.message).to.equal(VALUE_REQUIRED);
+      expect(error.fields.age.message).to.equal(VALUE_ABOVE_MAX);
+      expect(error.fields.age.constraint).to.equal(150);
+      expect(error.fields.role.message).to.equal(VALUE_NOT_ALLOWED);
+      expect(error.fields.email.message).to.equal(VALIDATOR_FAILED);
+      expect(error.fields.email.detail).to.equal('Missing @.');
+    },
+    'should apply the first failing rule': async () => {
+      const { VALUE_TOO_SHORT, PATTERN_MISMATCH } = ValidatingTypeProcessor
+        .ERROR_MESSAGES;
+
+      expect((await getItemError({
+        ...VALID_CONTACT,
+        firstName: 'F'
+      })).fields.firstName.message).to.equal(VALUE_TOO_SHORT);
+      expect((await getItemError({
+        ...VALID_CONTACT,
+        firstName: 'first'
+      })).fields.firstName.message).to.equal(PATTERN_MISMATCH);
+    },
+    'should validate the item count of multiple fields': async () => {
+      const { TOO_FEW_ITEMS, TOO_MANY_ITEMS } = ValidatingTypeProcessor
+        .ERROR_MESSAGES;
+
+      expect((await getItemError({
+        ...VALID_CONTACT,
+        tags: []
+      })).fields.tags.message).to.equal(TOO_FEW_ITEMS);
+      expect((await getItemError({
+        ...VALID_CONTACT,
+        tags: ['a', 'b', 'c', 'd']
+      })).fields.tags.message).to.equal(TOO_MANY_ITEMS);
+    },
+    'should read the rules from a configured feature name': async () => {
+      vtp = new ValidatingTypeProcessor({
+        typeMap: {
+          String: {
+            primitive: true
+          },
+          Note: {
+            fields: {
+              text: {
+                type: 'String',
+                features: {
+                  rules: {
+                    required: true
+                  }
+                }
+              }
+            }
+          }
+        },
+        validationFeatureName: 'rules'
+      });
+
+      let error;
+
+      try {
+        await vtp.processItem({
+          item: {},
+          typeName: 'Note'
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.fields.text.message).to.equal(
+        ValidatingTypeProcessor.ERROR_MESSAGES.VALUE_REQUIRED
+      );
+    },
+    'should report element failures by index': async () => {
+      const { VALUE_LIST_ERROR, VALUE_TOO_LONG } = ValidatingTypeProcessor
+        .ERROR_MESSAGES;
+      const error = await getItemError({
+        ...VALID_CONTACT,
+        tags: ['a', 'abcdef']
+      });
+      const entries = ValidatingTypeProcessor.flattenError(error);
+
+      expect(error.fields.tags.message).to.equal(VALUE_LIST_ERROR);
+      expect(entries.length).to.equal(1);
+      expect(entries[0].path).to.equal('tags[1]');
+      expect(entries[0].code).to.equal(VALUE_TOO_LONG);
+    }
+  }
+};
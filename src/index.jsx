@@ -1,3 +1,255 @@
+import { toJSONSchema, fromJSONSchema } from './JSONSchema';
+import { toTypeScriptDeclarations } from './TypeScript';
+import { toGraphQLSDL, createGraphQLResolver } from './GraphQL';
+import { diffItems, applyPatch } from './Diff';
+import { migrateItem } from './Migration';
+import { sortComputedFields } from './ComputedFields';
+import { formatError } from './ErrorMessages';
+import {
+  annotateError,
+  mergeInheritedProperty,
+  getDiscriminatedTypeName,
+  selectFieldList,
+  applyTypeConditions,
+  assignConfig
+} from './ProcessingHelpers';
+
+/**
+ * Call the mapper of a `mapSettled` call for the remaining entries, one at a
+ * time. Defined once, rather than per call, since creating asynchronous
+ * functions is costly once they are compiled.
+ * @param {Object} state The shared state of the `mapSettled` call.
+ * */
+const runSettled = async state => {
+  const { list, mapper, results } = state;
+
+  while (state.nextIndex < list.length) {
+    const index = state.nextIndex++;
+
+    try {
+      results[index] = { value: await mapper(list[index], index) };
+    } catch (error) {
+      results[index] = { error };
+    }
+  }
+};
+
+/**
+ * Call an asynchronous mapper for each entry in a list, running no more than
+ * `concurrency` calls at a time.
+ * @param {Array.<*>} list The list of entries.
+ * @param {number} concurrency The maximum number of pending calls.
+ * @param {Function} mapper The mapper, called with each entry and its index.
+ * @returns {Array.<Object>} A list of results, in the order of `list`, each
+ * with either a `value` or an `error` property.
+ * */
+const mapSettled = async (list, concurrency, mapper) => {
+  const results = new Array(list.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, list.length));
+  const state = {
+    list,
+    mapper,
+    results,
+    nextIndex: 0
+  };
+
+  if (limit === 1) {
+    await runSettled(state);
+
+    return results;
+  }
+
+  const runners = [];
+
+  for (let i = 0; i < limit; i++) {
+    runners.push(runSettled(state));
+  }
+
+  await Promise.all(runners);
+
+  return results;
+};
+
+/**
+ * Get the number of list values or item fields to process at the same time.
+ * @param {number|undefined} concurrency The configured concurrency.
+ * @param {Object} runContext The context of the processing call.
+ * @returns {number} The concurrency. When none is configured, values are
+ * processed one at a time, or all at once when remote values are batched, so
+ * that the remote values they contain land in the same batch.
+ * */
+const getEffectiveConcurrency = (concurrency, runContext = {}) => {
+  if (typeof concurrency === 'number') {
+    return concurrency;
+  }
+
+  return runContext.remoteValueBatcher ? Infinity : 1;
+};
+
+/**
+ * Get a value that is cached for the duration of a processing call, creating
+ * it the first time it is requested. Outside of a processing call, the value
+ * is created each time.
+ * @param {Object} input The input for a processing step.
+ * @param {Object} input.runContext The context of the processing call.
+ * @param {string} key The cache key.
+ * @param {Function} create Creates the value.
+ * @returns {*} The value.
+ * */
+const getCallCached = (input, key, create) => {
+  const { runContext } = input;
+
+  if (!runContext) {
+    return create();
+  }
+
+  const cache = runContext.cache = runContext.cache || {};
+
+  if (!cache.hasOwnProperty(key)) {
+    cache[key] = create();
+  }
+
+  return cache[key];
+};
+
+const SHORT_CIRCUIT = Symbol('SHORT_CIRCUIT');
+
+/**
+ * Get a timestamp, in milliseconds, for measuring durations.
+ * @returns {number} The timestamp.
+ * */
+const now = () => typeof performance !== 'undefined'
+  ? performance.now()
+  : Date.now();
+
+/**
+ * Run a task after the pending promise callbacks and I/O events, using
+ * `setImmediate` where it exists.
+ * @param {Function} task The task.
+ * */
+const scheduleTask = task => typeof setImmediate === 'function'
+  ? setImmediate(task)
+  : setTimeout(task, 0);
+
+/**
+ * Check to see if a value matches a plugin hook filter.
+ * @param {string|Array.<string>|undefined} filter The filter. A missing
+ * filter matches every value.
+ * @param {string} value The value to check.
+ * @returns {boolean} A flag designating whether or not the value matches.
+ * */
+const matchesFilter = (filter, value) => {
+  if (typeof filter === 'undefined') {
+    return true;
+  }
+
+  return filter instanceof Array
+    ? filter.indexOf(value) !== -1
+    : filter === value;
+};
+
+/**
+ * Collects remote values per type and resolves them with one call to the
+ * `processRemoteValues` hook of a processor per tick. Results are cached by
+ * the key from the `getRemoteValueKey` hook for the lifetime of the batcher.
+ * */
+class RemoteValueBatcher {
+  constructor (processor) {
+    this.processor = processor;
+    this.cache = {};
+    this.queue = {};
+    this.flushScheduled = false;
+  }
+
+  /**
+   * Load a remote value through the next batch for its type.
+   * @param {Object} input The input for `processRemoteValue`.
+   * @returns {*} The processed value.
+   * */
+  async load (input) {
+    const { typeName } = input;
+    const key = await this.processor.getRemoteValueKey(input);
+    const typeCache = this.cache[typeName] = this.cache[typeName] || new Map();
+
+    if (!typeCache.has(key)) {
+      typeCache.set(key, new Promise((res, rej) => {
+        this.queue[typeName] = this.queue[typeName] || [];
+        this.queue[typeName].push({ input, res, rej });
+      }));
+
+      this.scheduleFlush();
+    }
+
+    return typeCache.get(key);
+  }
+
+  /**
+   * Schedule a flush of the queued values.
+   * */
+  scheduleFlush () {
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+
+      scheduleTask(() => this.flush());
+    }
+  }
+
+  /**
+   * Resolve all queued values, with one batch per type.
+   * */
+  flush () {
+    const queue = this.queue;
+
+    this.queue = {};
+    this.flushScheduled = false;
+
+    Object.keys(queue).forEach(typeName => this.flushType(
+      typeName,
+      queue[typeName]
+    ));
+  }
+
+  /**
+   * Resolve the queued values of one type.
+   * @param {string} typeName The name of the type.
+   * @param {Array.<Object>} entries The queued entries.
+   * */
+  async flushType (typeName, entries) {
+    const inputList = entries.map(({ input }) => input);
+
+    let results;
+
+    try {
+      results = await this.processor.processRemoteValues({
+        ...inputList[0],
+        values: inputList.map(({ value }) => value),
+        typeName,
+        inputList
+      });
+
+      if (!(results instanceof Array) || results.length !== entries.length) {
+        throw new TypeError(
+          AbstractTypeProcessor.ERROR_MESSAGES.INVALID_REMOTE_VALUE_LIST
+        );
+      }
+    } catch (error) {
+      entries.forEach(({ rej }) => rej(error));
+
+      return;
+    }
+
+    entries.forEach(({ res, rej }, i) => {
+      const result = results[i];
+
+      if (result instanceof Error) {
+        rej(result);
+      } else {
+        res(result);
+      }
+    });
+  }
+}
+
 /**
  * An asynchronous, generic data type processor.
  * @param {Object} config An object with properties to be assigned to the new
@@ -11,141 +263,1534 @@ export default class AbstractTypeProcessor {
     ITEM_ERROR: 'ITEM_ERROR',
     VALUE_LIST_ERROR: 'VALUE_LIST_ERROR',
     INVALID_VALUE_LIST: 'INVALID_VALUE_LIST',
-    INVALID_ITEM: 'INVALID_ITEM'
+    INVALID_ITEM: 'INVALID_ITEM',
+    INVALID_TYPE_MAP: 'INVALID_TYPE_MAP',
+    INVALID_TYPE_DEFINITION: 'INVALID_TYPE_DEFINITION',
+    INVALID_FIELD_DESCRIPTOR: 'INVALID_FIELD_DESCRIPTOR',
+    MISSING_FIELD_TYPE: 'MISSING_FIELD_TYPE',
+    CONFLICTING_TYPE_FLAGS: 'CONFLICTING_TYPE_FLAGS',
+    UNKNOWN_TYPE_KEY: 'UNKNOWN_TYPE_KEY',
+    UNKNOWN_FIELD_KEY: 'UNKNOWN_FIELD_KEY',
+    INHERITANCE_CYCLE: 'INHERITANCE_CYCLE',
+    NO_MATCHING_UNION_MEMBER: 'NO_MATCHING_UNION_MEMBER',
+    INVALID_REMOTE_VALUE_LIST: 'INVALID_REMOTE_VALUE_LIST',
+    CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE',
+    MAX_DEPTH_EXCEEDED: 'MAX_DEPTH_EXCEEDED',
+    PROCESSING_ABORTED: 'PROCESSING_ABORTED',
+    PROCESSING_TIMEOUT: 'PROCESSING_TIMEOUT',
+    INVALID_VALUE_STREAM: 'INVALID_VALUE_STREAM',
+    UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+    COMPUTED_FIELD_CYCLE: 'COMPUTED_FIELD_CYCLE',
+    INVALID_COMPUTED_FIELD: 'INVALID_COMPUTED_FIELD',
+    INVALID_TYPE_VERSION: 'INVALID_TYPE_VERSION',
+    INVALID_MIGRATION_RANGE: 'INVALID_MIGRATION_RANGE',
+    INVALID_MIGRATION_CHAIN: 'INVALID_MIGRATION_CHAIN'
+  };
+
+  /**
+   * The item processing modes.
+   * - `full`: Every field of the type is processed.
+   * - `partial`: Only the fields present on the item are processed.
+   * @member {Object.<string, string>}
+   * */
+  static ITEM_MODES = {
+    FULL: 'full',
+    PARTIAL: 'partial'
+  };
+
+  /**
+   * The policies for item keys that are not fields of the type.
+   * - `strip`: Leave them out of the processed item.
+   * - `passthrough`: Copy them, unprocessed, to the processed item.
+   * - `error`: Report an `UNKNOWN_FIELD` error for each of them.
+   * @member {Object.<string, string>}
+   * */
+  static UNKNOWN_FIELD_POLICIES = {
+    STRIP: 'strip',
+    PASSTHROUGH: 'passthrough',
+    ERROR: 'error'
   };
 
-  /**
-   * Check to see if a value exists.
-   * @param {*} value The value to check.
-   * @returns {boolean} A flag designating whether or not the value exists.
-   * */
-  static valueExists (value) {
-    return !(typeof value === 'undefined' || value === null);
+  /**
+   * The names of the processing steps that plugins can hook into.
+   * @member {Array.<string>}
+   * */
+  static PLUGIN_STEPS = [
+    'processValue',
+    'processValueList',
+    'processFieldValue',
+    'processItem'
+  ];
+
+  /**
+   * The processing events emitted to observers, by step. Each step emits a
+   * start event and then either an end event or an `error` event.
+   * @member {Object.<string, string>}
+   * */
+  static PROCESSING_EVENTS = {
+    ITEM_START: 'itemStart',
+    ITEM_END: 'itemEnd',
+    FIELD_START: 'fieldStart',
+    FIELD_END: 'fieldEnd',
+    VALUE_START: 'valueStart',
+    VALUE_END: 'valueEnd',
+    VALUE_LIST_START: 'valueListStart',
+    VALUE_LIST_END: 'valueListEnd',
+    REMOTE_START: 'remoteStart',
+    REMOTE_END: 'remoteEnd',
+    ERROR: 'error'
+  };
+
+  /**
+   * The names of the observed steps, by processing method.
+   * @member {Object.<string, string>}
+   * */
+  static OBSERVED_STEPS = {
+    processItem: 'item',
+    processFieldValue: 'field',
+    processValue: 'value',
+    processValueList: 'valueList',
+    processRemoteValue: 'remote'
+  };
+
+  /**
+   * Create a value that a plugin `before` hook can return to skip the rest of
+   * a processing step and use the given result.
+   * @param {*} result The result of the step.
+   * @returns {Object} The short circuit value.
+   * */
+  static shortCircuit (result) {
+    return {
+      [SHORT_CIRCUIT]: true,
+      result
+    };
+  }
+
+  /**
+   * The strategies for items that contain themselves, directly or through
+   * nested items.
+   * - `error`: Throw a `CIRCULAR_REFERENCE` error.
+   * - `skip`: Leave the circular field value `undefined`.
+   * - `reuse`: Use the processed item of the ancestor, making the processed
+   * item circular as well.
+   * @member {Object.<string, string>}
+   * */
+  static CIRCULAR_REFERENCE_STRATEGIES = {
+    ERROR: 'error',
+    SKIP: 'skip',
+    REUSE: 'reuse'
+  };
+
+  /**
+   * The keys allowed in a type definition.
+   * @member {Array.<string>}
+   * */
+  static TYPE_DEFINITION_KEYS = [
+    'name',
+    'label',
+    'primitive',
+    'remote',
+    'features',
+    'fields',
+    'extends',
+    'union',
+    'discriminator',
+    'version'
+  ];
+
+  /**
+   * The keys allowed in a field descriptor.
+   * @member {Array.<string>}
+   * */
+  static FIELD_DESCRIPTOR_KEYS = [
+    'type',
+    'label',
+    'multiple',
+    'embedded',
+    'features',
+    'default',
+    'computed'
+  ];
+
+  /**
+   * Check to see if a value exists.
+   * @param {*} value The value to check.
+   * @returns {boolean} A flag designating whether or not the value exists.
+   * */
+  static valueExists (value) {
+    return !(typeof value === 'undefined' || value === null);
+  }
+
+  /**
+   * Get the list of base type names declared by the `extends` key of a type
+   * definition.
+   * @param {Object} typeDefinition The type definition.
+   * @returns {Array.<string>} The list of base type names.
+   * */
+  static getBaseTypeNameList (typeDefinition = {}) {
+    const { extends: baseTypeNames } = typeDefinition;
+
+    if (baseTypeNames instanceof Array) {
+      return baseTypeNames;
+    }
+
+    return AbstractTypeProcessor.valueExists(baseTypeNames)
+      ? [baseTypeNames]
+      : [];
+  }
+
+  /**
+   * Convert a JSON Schema document into a type map.
+   * @param {Object} schema The JSON Schema document.
+   * @param {string} rootTypeName The name of the type for the root schema when
+   * it is not a `$ref`.
+   * @returns {Object.<string, Object>} The type map.
+   * */
+  static fromJSONSchema (schema, rootTypeName) {
+    return fromJSONSchema(schema, rootTypeName);
+  }
+
+  /**
+   * Convert a field selection into its nested object form.
+   * @param {Object|Array.<string|Array.<string>>} select A nested selection,
+   * e.g. `{ firstName: true, address: { city: true } }`, or a list of paths,
+   * e.g. `['firstName', 'address.city']`.
+   * @returns {Object|undefined} The nested selection or `undefined` when
+   * everything is selected.
+   * */
+  static getSelection (select) {
+    if (!(select instanceof Array)) {
+      return select instanceof Object ? select : undefined;
+    }
+
+    const selection = {};
+
+    select.forEach(selectPath => {
+      const segments = selectPath instanceof Array
+        ? selectPath
+        : `${selectPath}`.split('.');
+
+      let target = selection;
+
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+
+        if (target[segment] === true) {
+          break;
+        }
+
+        if (i === segments.length - 1) {
+          target[segment] = true;
+        } else {
+          if (!(target[segment] instanceof Object)) {
+            target[segment] = {};
+          }
+
+          target = target[segment];
+        }
+      }
+    });
+
+    return selection;
+  }
+
+  /**
+   * Append a field name or a list index to a value path.
+   * @param {string} path The path, e.g. `contact.addresses`.
+   * @param {string|number} segment A field name or a list index.
+   * @returns {string} The new path, e.g. `contact.addresses[2]`.
+   * */
+  static appendPath (path = '', segment) {
+    if (typeof segment === 'number') {
+      return `${path}[${segment}]`;
+    }
+
+    return path ? `${path}.${segment}` : `${segment}`;
+  }
+
+  /**
+   * Flatten a processing error tree, made of `ITEM_ERROR` errors with `fields`
+   * and `VALUE_LIST_ERROR` errors with `indices`, into a list of its leaf
+   * errors.
+   * @param {Error} error The error to flatten.
+   * @returns {Array.<Object>} The list of leaf error entries, each with a
+   * `path`, a `code`, a `typeName`, a `fieldName` and the original error as
+   * the `cause`.
+   * */
+  static flattenError (error) {
+    const { appendPath } = AbstractTypeProcessor;
+    const entries = [];
+    const walk = (err, path, typeName, fieldName) => {
+      const { fields, indices } = err instanceof Object ? err : {};
+
+      if (fields instanceof Object) {
+        Object.keys(fields).forEach(f => walk(
+          fields[f],
+          appendPath(path, f),
+          err.typeName,
+          f
+        ));
+      } else if (indices instanceof Object) {
+        Object.keys(indices).forEach(i => walk(
+          indices[i],
+          appendPath(path, parseInt(i, 10)),
+          typeName,
+          fieldName
+        ));
+      } else {
+        entries.push({
+          path,
+          code: err instanceof Error ? err.message : err,
+          typeName,
+          fieldName,
+          cause: err
+        });
+      }
+    };
+
+    walk(
+      error,
+      (error instanceof Object && error.path) || '',
+      error instanceof Object ? error.typeName : undefined,
+      error instanceof Object ? error.fieldName : undefined
+    );
+
+    return entries;
+  }
+
+  /**
+   * A map with type name keys and type definition values.
+   * @member {Object.<string, Object>}
+   * */
+  typeMap = {};
+
+  /**
+   * An optional type registry, like a `TypeRegistry`, that type definitions
+   * and type name lists are loaded from instead of the `typeMap`.
+   * @member {Object}
+   * */
+  registry;
+
+  /**
+   * When `true`, the `typeMap` is validated when the instance is constructed
+   * and an `INVALID_TYPE_MAP` error is thrown, with the `diagnostics` from
+   * `validateTypeMap`, if any problems are found.
+   * @member {boolean}
+   * */
+  validateOnConstruction = false;
+
+  /**
+   * The maximum number of list values or item fields processed at the same
+   * time. Can be overridden per call with `input.concurrency`. When it is not
+   * set, values are processed one at a time, or all at once when
+   * `batchRemoteValues` is enabled.
+   * @member {number|undefined}
+   * */
+  concurrency = undefined;
+
+  /**
+   * When `true`, remote values are collected per type within each top-level
+   * processing call and resolved with `processRemoteValues`, once per tick.
+   * Values with the same key from `getRemoteValueKey` are only resolved once
+   * per top-level call.
+   * @member {boolean}
+   * */
+  batchRemoteValues = false;
+
+  /**
+   * The strategy, from `CIRCULAR_REFERENCE_STRATEGIES`, for items that contain
+   * themselves. Can be overridden per call with `input.circularReferences`.
+   * @member {string}
+   * */
+  circularReferences = 'error';
+
+  /**
+   * The maximum number of nested items processed in one call. Can be
+   * overridden per call with `input.maxDepth`.
+   * @member {number}
+   * */
+  maxDepth = Infinity;
+
+  /**
+   * The plugins added with `use`.
+   * @member {Array.<Object>}
+   * */
+  plugins = [];
+
+  /**
+   * The default locale for `formatError`.
+   * @member {string}
+   * */
+  locale = 'en';
+
+  /**
+   * Message catalogs by locale for `formatError`, merged with the default
+   * catalogs.
+   * @member {Object.<string, Object>}
+   * */
+  messageCatalogs = {};
+
+  /**
+   * The observers added with `observe`.
+   * @member {Array.<Function>}
+   * */
+  observers = [];
+
+  /**
+   * The migration steps added with `registerMigration`.
+   * @member {Array.<Object>}
+   * */
+  migrations = [];
+
+  /**
+   * The item processing mode, from `ITEM_MODES`. Can be overridden per call
+   * with `input.mode`.
+   * @member {string}
+   * */
+  mode = 'full';
+
+  /**
+   * The policy, from `UNKNOWN_FIELD_POLICIES`, for item keys that are not
+   * fields of the type. Can be overridden per call with `input.unknownFields`.
+   * @member {string}
+   * */
+  unknownFields = 'strip';
+
+  constructor (config = {}) {
+    assignConfig(this, config);
+
+    if (this.validateOnConstruction) {
+      const diagnostics = this.validateTypeMap();
+
+      if (diagnostics.length) {
+        const typeMapError = new TypeError(
+          AbstractTypeProcessor.ERROR_MESSAGES.INVALID_TYPE_MAP
+        );
+
+        typeMapError.diagnostics = diagnostics;
+
+        throw typeMapError;
+      }
+    }
+  }
+
+  /**
+   * Validate every type definition in the `typeMap`. Type definitions loaded
+   * from a `registry` are not validated.
+   * @returns {Array.<Object>} The list of diagnostics, each with a `path`, a
+   * `code` from `ERROR_MESSAGES`, a `typeName` and, for field problems, a
+   * `fieldName`. The list is empty when the `typeMap` is valid.
+   * */
+  validateTypeMap () {
+    const {
+      TYPE_DEFINITION_KEYS,
+      FIELD_DESCRIPTOR_KEYS
+    } = AbstractTypeProcessor;
+    const {
+      INVALID_TYPE_MAP,
+      INVALID_TYPE_DEFINITION,
+      INVALID_FIELD_DESCRIPTOR,
+      MISSING_FIELD_TYPE,
+      NON_EXISTENT_TYPE,
+      MISSING_FIELDS_FOR_TYPE,
+      CONFLICTING_TYPE_FLAGS,
+      UNKNOWN_TYPE_KEY,
+      UNKNOWN_FIELD_KEY,
+      INHERITANCE_CYCLE,
+      COMPUTED_FIELD_CYCLE,
+      INVALID_COMPUTED_FIELD,
+      INVALID_TYPE_VERSION
+    } = AbstractTypeProcessor.ERROR_MESSAGES;
+    const { getBaseTypeNameList } = AbstractTypeProcessor;
+    const typeMap = this.typeMap;
+    const diagnostics = [];
+    const inheritsFrom = (typeName, baseTypeName, visited = []) => {
+      if (visited.indexOf(typeName) !== -1) {
+        return false;
+      }
+
+      return getBaseTypeNameList(typeMap[typeName]).some(
+        name => name === baseTypeName ||
+          inheritsFrom(name, baseTypeName, [...visited, typeName])
+      );
+    };
+
+    if (!(typeMap instanceof Object)) {
+      return [
+        {
+          path: '',
+          code: INVALID_TYPE_MAP
+        }
+      ];
+    }
+
+    const typeNameList = Object.keys(typeMap);
+
+    for (let i = 0; i < typeNameList.length; i++) {
+      const typeName = typeNameList[i];
+      const typeDefinition = typeMap[typeName];
+
+      if (!(typeDefinition instanceof Object)) {
+        diagnostics.push({
+          path: typeName,
+          code: INVALID_TYPE_DEFINITION,
+          typeName
+        });
+
+        continue;
+      }
+
+      const { primitive, remote, fields, union, version } = typeDefinition;
+
+      Object.keys(typeDefinition).forEach(key => {
+        if (TYPE_DEFINITION_KEYS.indexOf(key) === -1) {
+          diagnostics.push({
+            path: `${typeName}.${key}`,
+            code: UNKNOWN_TYPE_KEY,
+            typeName
+          });
+        }
+      });
+
+      if (
+        typeof version !== 'undefined' &&
+        !(Number.isInteger(version) && version >= 0)
+      ) {
+        diagnostics.push({
+          path: `${typeName}.version`,
+          code: INVALID_TYPE_VERSION,
+          typeName
+        });
+      }
+
+      if (primitive && remote) {
+        diagnostics.push({
+          path: typeName,
+          code: CONFLICTING_TYPE_FLAGS,
+          typeName
+        });
+      }
+
+      const baseTypeNameList = getBaseTypeNameList(typeDefinition);
+
+      baseTypeNameList.forEach(baseTypeName => {
+        if (!(typeMap[baseTypeName] instanceof Object)) {
+          diagnostics.push({
+            path: `${typeName}.extends`,
+            code: NON_EXISTENT_TYPE,
+            typeName
+          });
+        }
+      });
+
+      if (union instanceof Array) {
+        union.forEach(memberTypeName => {
+          if (!(typeMap[memberTypeName] instanceof Object)) {
+            diagnostics.push({
+              path: `${typeName}.union`,
+              code: NON_EXISTENT_TYPE,
+              typeName
+            });
+          }
+        });
+      }
+
+      if (inheritsFrom(typeName, typeName)) {
+        diagnostics.push({
+          path: `${typeName}.extends`,
+          code: INHERITANCE_CYCLE,
+          typeName
+        });
+      }
+
+      if (!(fields instanceof Object)) {
+        if (
+          !primitive &&
+          !remote &&
+          !baseTypeNameList.length &&
+          !(union instanceof Array)
+        ) {
+          diagnostics.push({
+            path: `${typeName}.fields`,
+            code: MISSING_FIELDS_FOR_TYPE,
+            typeName
+          });
+        }
+
+        continue;
+      }
+
+      const fieldList = Object.keys(fields);
+      const computedDependencyMap = {};
+
+      for (let j = 0; j < fieldList.length; j++) {
+        const fieldName = fieldList[j];
+        const fieldDescriptor = fields[fieldName];
+        const path = `${typeName}.fields.${fieldName}`;
+
+        if (!(fieldDescriptor instanceof Object)) {
+          diagnostics.push({
+            path,
+            code: INVALID_FIELD_DESCRIPTOR,
+            typeName,
+            fieldName
+          });
+
+          continue;
+        }
+
+        const { type: fieldTypeName, computed } = fieldDescriptor;
+
+        Object.keys(fieldDescriptor).forEach(key => {
+          if (FIELD_DESCRIPTOR_KEYS.indexOf(key) === -1) {
+            diagnostics.push({
+              path: `${path}.${key}`,
+              code: UNKNOWN_FIELD_KEY,
+              typeName,
+              fieldName
+            });
+          }
+        });
+
+        if (!AbstractTypeProcessor.valueExists(fieldTypeName)) {
+          diagnostics.push({
+            path,
+            code: MISSING_FIELD_TYPE,
+            typeName,
+            fieldName
+          });
+        } else if (!(typeMap[fieldTypeName] instanceof Object)) {
+          diagnostics.push({
+            path: `${path}.type`,
+            code: NON_EXISTENT_TYPE,
+            typeName,
+            fieldName
+          });
+        }
+
+        if (typeof computed !== 'undefined') {
+          const { dependsOn = [], compute } = computed || {};
+
+          if (!(compute instanceof Function) || !(dependsOn instanceof Array)) {
+            diagnostics.push({
+              path: `${path}.computed`,
+              code: INVALID_COMPUTED_FIELD,
+              typeName,
+              fieldName
+            });
+          } else {
+            computedDependencyMap[fieldName] = dependsOn;
+          }
+        }
+      }
+
+      sortComputedFields(computedDependencyMap).cycleFieldList
+        .forEach(fieldName => diagnostics.push({
+          path: `${typeName}.fields.${fieldName}.computed`,
+          code: COMPUTED_FIELD_CYCLE,
+          typeName,
+          fieldName
+        }));
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Get the list of the names of all defined types.
+   * @returns {Array.<string>} The list of type names.
+   * */
+  async getTypeNameList () {
+    if (this.registry) {
+      return this.registry.getTypeNameList();
+    }
+
+    return this.typeMap instanceof Object ? Object.keys(this.typeMap) : [];
+  }
+
+  /**
+   * Get a type definition by name.
+   * @param {string} typeName The name of the type.
+   * @returns {Object} A type definition.
+   * */
+  async getTypeDefinition (typeName) {
+    if (this.registry) {
+      return this.registry.getTypeDefinition(typeName);
+    }
+
+    if (this.typeMap instanceof Object) {
+      const typeDefinition = this.typeMap[typeName];
+
+      if (typeDefinition instanceof Object) {
+        return typeDefinition;
+      }
+    }
+
+    throw new TypeError(
+      AbstractTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_TYPE
+    );
+  }
+
+  /**
+   * Convert a type, and every type reachable from it, into a JSON Schema
+   * document with a `$defs` entry for each type.
+   * @param {string} typeName The name of the type.
+   * @returns {Object} The JSON Schema document.
+   * */
+  async toJSONSchema (typeName) {
+    return toJSONSchema(this, typeName);
+  }
+
+  /**
+   * Generate TypeScript declarations for every type.
+   * @param {Object} options The options.
+   * @param {Object.<string, string>} options.typeMapping A map of primitive and
+   * remote type names to TypeScript types.
+   * @param {string} options.header Text placed before the declarations.
+   * @returns {string} The declarations.
+   * */
+  async toTypeScriptDeclarations (options) {
+    return toTypeScriptDeclarations(this, options);
+  }
+
+  /**
+   * Generate a GraphQL schema definition (SDL) for every type.
+   * @param {Object} options The options.
+   * @param {Object.<string, string>} options.scalarMapping A map of primitive
+   * type names to GraphQL scalars.
+   * @returns {string} The schema definition.
+   * */
+  async toGraphQLSDL (options) {
+    return toGraphQLSDL(this, options);
+  }
+
+  /**
+   * Create a GraphQL field resolver that processes the resolved item with
+   * `processItem`, selecting the fields requested by the query.
+   * @param {Object} options The options.
+   * @param {string} options.typeName The name of the type of the field.
+   * @param {boolean} options.multiple When `true`, the field resolves to a
+   * list of items.
+   * @param {Function} options.resolve Called with the arguments of the
+   * resolver to get the item, or the list of items.
+   * @param {Object} options.input Additional input for `processItem`.
+   * @returns {Function} The resolver.
+   * */
+  createGraphQLResolver (options) {
+    return createGraphQLResolver(this, options);
+  }
+
+  /**
+   * Diff two items of a type, walking the type map like `processItem`.
+   * Remote values are compared by the key from `getRemoteValueKey` and
+   * `multiple` fields by index, or by the `key` of their `diff` field feature.
+   * @param {Object} input The input for the method.
+   * @param {string} input.typeName The name of the type.
+   * @param {Object} input.before The item before.
+   * @param {Object} input.after The item after.
+   * @returns {Array.<Object>} The changes, each with an `op` (`add`,
+   * `remove`, `replace` or `move`), a `path` list and the `before` and/or
+   * `after` value. Adds and moves of keyed list values have an `index`.
+   * */
+  async diffItems (input) {
+    return diffItems(this, input);
+  }
+
+  /**
+   * Apply a list of changes from `diffItems` to an item.
+   * @param {Object} input The input for the method.
+   * @param {Object} input.item The item.
+   * @param {Array.<Object>} input.changes The changes.
+   * @returns {Object} A changed copy of the item.
+   * */
+  applyPatch (input) {
+    return applyPatch(input);
+  }
+
+  /**
+   * Turn a processing error into human readable messages using the labels of
+   * types and fields, message catalogs and the `messages` field feature.
+   * @param {Error} error The processing error.
+   * @param {Object} options The options.
+   * @param {string} options.locale The locale of the messages.
+   * @param {string} options.fallbackLocale The locale used for codes with no
+   * message in `locale`.
+   * @param {Object.<string, Object>} options.catalogs Message catalogs by
+   * locale.
+   * @returns {Array.<Object>} The entries from `flattenError`, each with a
+   * `message`.
+   * */
+  async formatError (error, options = {}) {
+    return formatError(this, error, {
+      locale: this.locale,
+      catalogs: this.messageCatalogs,
+      ...options
+    });
+  }
+
+  /**
+   * Get a property of a type definition merged with the same property of all
+   * of its base types. Base types are merged in the order they are listed in
+   * `extends`, so later bases override earlier ones, and the type's own
+   * entries override all inherited entries.
+   * @param {string} typeName The name of the type.
+   * @param {string} propertyName The name of the property, i.e. `fields` or
+   * `features`.
+   * @param {Array.<string>} visited The names of the types already visited,
+   * used to detect inheritance cycles.
+   * @returns {Object|undefined} The merged property or `undefined` when
+   * neither the type nor its bases define it.
+   * */
+  async getInheritedTypeProperty (typeName, propertyName, visited = []) {
+    if (visited.indexOf(typeName) !== -1) {
+      throw new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE
+      );
+    }
+
+    const typeDefinition = await this.getTypeDefinition(typeName);
+    const { [propertyName]: ownProperty } = typeDefinition;
+    const baseTypeNameList = AbstractTypeProcessor
+      .getBaseTypeNameList(typeDefinition);
+    const basePropertyList = [];
+
+    for (let i = 0; i < baseTypeNameList.length; i++) {
+      basePropertyList.push(await this.getInheritedTypeProperty(
+        baseTypeNameList[i],
+        propertyName,
+        [...visited, typeName]
+      ));
+    }
+
+    return mergeInheritedProperty(ownProperty, basePropertyList);
+  }
+
+  /**
+   * Check to see if a type is, or inherits from, another type.
+   * @param {string} typeName The name of the type.
+   * @param {string} superTypeName The name of the possible supertype.
+   * @param {Array.<string>} visited The names of the types already visited,
+   * used to detect inheritance cycles.
+   * @returns {boolean} A flag designating whether or not the type is a
+   * subtype of the supertype.
+   * */
+  async isSubtypeOf (typeName, superTypeName, visited = []) {
+    if (typeName === superTypeName) {
+      return true;
+    }
+
+    if (visited.indexOf(typeName) !== -1) {
+      throw new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE
+      );
+    }
+
+    const typeDefinition = await this.getTypeDefinition(typeName);
+    const baseTypeNameList = AbstractTypeProcessor
+      .getBaseTypeNameList(typeDefinition);
+
+    for (let i = 0; i < baseTypeNameList.length; i++) {
+      if (await this.isSubtypeOf(
+        baseTypeNameList[i],
+        superTypeName,
+        [...visited, typeName]
+      )) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the list of defined field names for a type by name, including
+   * inherited fields.
+   * @param {string} typeName The name of the type.
+   * @returns {Array.<string>} The list of field names.
+   * */
+  async getFieldList (typeName) {
+    const fields = await this.getInheritedTypeProperty(typeName, 'fields');
+
+    if (fields instanceof Object) {
+      return Object.keys(fields);
+    }
+
+    throw new TypeError(
+      AbstractTypeProcessor.ERROR_MESSAGES.MISSING_FIELDS_FOR_TYPE
+    );
+  }
+
+  /**
+   * Get a field descriptor by type and field name. Inherited fields are
+   * included and a field declared by the type replaces a base field with the
+   * same name.
+   * @param {string} typeName The name of the type.
+   * @param {string} fieldName The name of the field.
+   * @returns {Object} A field descriptor.
+   * */
+  async getFieldDescriptor (typeName, fieldName) {
+    const fields = await this.getInheritedTypeProperty(typeName, 'fields');
+
+    if (fields instanceof Object) {
+      const f = fields[fieldName];
+
+      if (f instanceof Object) {
+        return f;
+      }
+    }
+
+    throw new TypeError(
+      AbstractTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_FIELD
+    );
+  }
+
+  /**
+   * Get a feature configuration for the specified type and feature name.
+   * Features declared by the type replace base features with the same name.
+   * @param {string} typeName The name of the type.
+   * @param {string} featureName The name of the feature.
+   * @returns {Object} The feature configuration or `undefined` if none exists.
+   * */
+  async getTypeFeature (typeName, featureName) {
+    const features = await this.getInheritedTypeProperty(
+      typeName,
+      'features'
+    ) || {};
+
+    return features[featureName];
+  }
+
+  /**
+   * Get a feature configuration for the specified type, field and feature name.
+   * @param {string} typeName The name of the type.
+   * @param {string} fieldName The name of the field.
+   * @param {string} featureName The name of the feature.
+   * @returns {Object} The feature configuration or `undefined` if none exists.
+   * */
+  async getFieldFeature (typeName, fieldName, featureName) {
+    const fieldDescriptor = await this.getFieldDescriptor(typeName, fieldName);
+    const { features = {} } = fieldDescriptor;
+
+    return features[featureName];
+  }
+
+  /**
+   * Get the list of the names of the computed fields of a type, sorted so
+   * that each field comes after the computed fields it depends on.
+   * A computed field has a `computed` descriptor key with a `compute`
+   * function, called with the processed item and the input, and a
+   * `dependsOn` list of field names.
+   * @param {string} typeName The name of the type.
+   * @returns {Array.<string>} The list of computed field names.
+   * */
+  async getComputedFieldList (typeName) {
+    const fieldList = await this.getFieldList(typeName);
+    const dependencyMap = {};
+
+    for (let i = 0; i < fieldList.length; i++) {
+      const fieldName = fieldList[i];
+      const { computed } = await this.getFieldDescriptor(typeName, fieldName);
+
+      if (computed instanceof Object) {
+        const { dependsOn = [] } = computed;
+
+        dependencyMap[fieldName] = dependsOn;
+      }
+    }
+
+    const { fieldList: computedFieldList, cycleFieldList } = sortComputedFields(
+      dependencyMap
+    );
+
+    if (cycleFieldList.length) {
+      throw new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.COMPUTED_FIELD_CYCLE
+      );
+    }
+
+    return computedFieldList;
+  }
+
+  /**
+   * Get the list of the names of the fields of a type that a selection
+   * includes. Selected computed fields include the fields they depend on.
+   * Selected fields that do not exist are reported as `NON_EXISTENT_FIELD`
+   * field errors of an `ITEM_ERROR`.
+   * @param {Object} input The input for the method.
+   * @param {string} input.typeName The name of the type.
+   * @param {Object} input.selection The nested selection.
+   * @param {string} input.path The path to the item, used to locate errors.
+   * @returns {Array.<string>} The list of selected field names.
+   * */
+  async getSelectedFieldList (input) {
+    const { typeName, selection, path } = input;
+    const fieldList = await this.getFieldList(typeName);
+    const computedFieldList = await this.getComputedFieldList(typeName);
+    const dependencyMap = {};
+
+    for (let i = 0; i < computedFieldList.length; i++) {
+      const fieldName = computedFieldList[i];
+      const {
+        computed: { dependsOn = [] }
+      } = await this.getFieldDescriptor(typeName, fieldName);
+
+      dependencyMap[fieldName] = dependsOn;
+    }
+
+    return selectFieldList(this, {
+      typeName,
+      fieldList,
+      computedFieldList,
+      dependencyMap,
+      selection,
+      path
+    });
+  }
+
+  /**
+   * Get the value of a field from an item. When the value does not exist,
+   * the `default` of the field descriptor is used. A `default` function is
+   * called with the input and its result is used.
+   * @param {Object} input The input for the method.
+   * @param {Object} input.item The item.
+   * @param {string} input.typeName The name of the type.
+   * @param {string} input.fieldName The name of the field.
+   * @returns {*} The value.
+   * */
+  async getFieldValue (input) {
+    const { item, typeName, fieldName } = input;
+    const value = item[fieldName];
+
+    if (AbstractTypeProcessor.valueExists(value)) {
+      return value;
+    }
+
+    const {
+      default: defaultValue
+    } = await getCallCached(
+      input,
+      `fieldDescriptor:${typeName}.${fieldName}`,
+      () => this.getFieldDescriptor(typeName, fieldName)
+    );
+
+    if (defaultValue instanceof Function) {
+      return defaultValue(input);
+    }
+
+    return typeof defaultValue === 'undefined' ? value : defaultValue;
+  }
+
+  /**
+   * Process a primitive value.
+   * @abstract
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @returns {*} The processed value.
+   * */
+  async processPrimitiveValue (input) {
+    const { value, typeName } = input;
+
+    return value;
+  }
+
+  /**
+   * Process a remote value.
+   * @abstract
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value to process.
+   * @param {string} input.typeName The name of the type.
+   * @returns {*} The processed value.
+   * */
+  async processRemoteValue (input) {
+    const { value, typeName } = input;
+
+    return value;
+  }
+
+  /**
+   * Get the key used to deduplicate and cache a remote value when
+   * `batchRemoteValues` is enabled.
+   * @param {Object} input The input for the method.
+   * @param {*} input.value The value.
+   * @param {string} input.typeName The name of the type.
+   * @returns {*} The key. Values with equal keys are only resolved once.
+   * */
+  async getRemoteValueKey (input) {
+    const { value } = input;
+
+    return value;
+  }
+
+  /**
+   * Process a batch of remote values of the same type.
+   * By default, each value is processed with `processRemoteValue`.
+   * @abstract
+   * @param {Object} input The input for the method.
+   * @param {Array.<*>} input.values The values to process.
+   * @param {string} input.typeName The name of the type.
+   * @param {Array.<Object>} input.inputList The `processRemoteValue` input for
+   * each value.
+   * @returns {Array.<*>} The processed values, in the order of `values`.
+   * An `Error` in the list fails only the corresponding value.
+   * */
+  async processRemoteValues (input) {
+    const { inputList } = input;
+
+    return Promise.all(
+      inputList.map(valueInput => this.processRemoteValue(valueInput))
+    );
+  }
+
+  /**
+   * Run a processing step wrapped in the plugin hooks that apply to it. The
+   * first step of a processing call sets up the `runContext` that is shared
+   * with all nested steps through the input.
+   * Processing stops with a `PROCESSING_ABORTED` error at the next step, or
+   * when a step completes, once `input.signal` is aborted or `input.timeout`
+   * milliseconds have passed since the first step. With a `timeout`, nested
+   * steps and hooks receive a new `signal` that is also aborted when the time
+   * is up. Nested steps are run directly when there are no plugins, no
+   * observers, no `signal` and no `timeout`.
+   * @param {string} stepName The name of the processing method.
+   * @param {Object} input The input for the step.
+   * @param {AbortSignal} input.signal An optional abort signal.
+   * @param {number} input.timeout An optional time limit, in milliseconds, for
+   * the whole processing call.
+   * @param {Function} step The step, called on this instance with the input.
+   * @returns {Promise} The result of the step.
+   * */
+  runStep (stepName, input, step) {
+    const { signal, runContext } = input;
+
+    if (
+      runContext &&
+      !signal &&
+      typeof runContext.deadline === 'undefined' &&
+      !this.plugins.length &&
+      !this.observers.length
+    ) {
+      return step.call(this, input);
+    }
+
+    return this.runLayeredStep(stepName, input, step);
+  }
+
+  /**
+   * Run a processing step with abort checks, observers and plugin hooks,
+   * setting up the `runContext` for the first step of a processing call.
+   * @param {string} stepName The name of the processing method.
+   * @param {Object} input The input for the step.
+   * @param {Function} step The step, called on this instance with the input.
+   * @returns {*} The result of the step.
+   * */
+  async runLayeredStep (stepName, input, step) {
+    if (input.runContext) {
+      this.throwIfAborted(input);
+
+      return this.observeStep(
+        stepName,
+        input,
+        () => this.runPluginHooks(stepName, input, step)
+      );
+    }
+
+    const { signal, timeout } = input;
+    const runContext = {};
+    const cleanupList = [];
+
+    let runSignal = signal;
+
+    if (this.batchRemoteValues) {
+      runContext.remoteValueBatcher = new RemoteValueBatcher(this);
+    }
+
+    if (typeof timeout === 'number') {
+      const timeoutError = new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.PROCESSING_TIMEOUT
+      );
+
+      runContext.deadline = Date.now() + timeout;
+      runContext.timeoutError = timeoutError;
+
+      if (typeof AbortController !== 'undefined') {
+        const controller = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        const timer = setTimeout(() => controller.abort(timeoutError), timeout);
+
+        if (signal) {
+          if (signal.aborted) {
+            abort();
+          } else {
+            signal.addEventListener('abort', abort);
+            cleanupList.push(
+              () => signal.removeEventListener('abort', abort)
+            );
+          }
+        }
+
+        cleanupList.push(() => clearTimeout(timer));
+
+        runSignal = controller.signal;
+      }
+    }
+
+    const runInput = {
+      ...input,
+      signal: runSignal,
+      runContext
+    };
+
+    try {
+      this.throwIfAborted(runInput);
+
+      let result;
+
+      try {
+        result = await this.observeStep(
+          stepName,
+          runInput,
+          () => this.runPluginHooks(stepName, runInput, step)
+        );
+      } catch (error) {
+        this.throwIfAborted(runInput);
+
+        throw error;
+      }
+
+      this.throwIfAborted(runInput);
+
+      return result;
+    } finally {
+      cleanupList.forEach(cleanup => cleanup());
+    }
   }
 
   /**
-   * A map with type name keys and type definition values.
-   * @member {Object.<string, Object>}
+   * Add an observer for processing events. The observer is called with each
+   * event, an object with:
+   * - `type`: The event type, from `PROCESSING_EVENTS`.
+   * - `step`: The observed step, from `OBSERVED_STEPS`.
+   * - `path`, `typeName` and `fieldName`: The location of the step.
+   * - `time`: The time of the event, in milliseconds.
+   * - `startTime` and `duration`: For end and `error` events, the time of the
+   * start event and the milliseconds since then.
+   * - `error`: For `error` events, the error.
+   * Errors thrown by observers are ignored.
+   * @param {Function} observer The observer.
+   * @returns {Function} A function that removes the observer.
    * */
-  typeMap = {};
+  observe (observer) {
+    this.observers = [...this.observers, observer];
 
-  constructor (config = {}) {
-    Object.assign(this, config);
+    return () => {
+      this.observers = this.observers.filter(o => o !== observer);
+    };
   }
 
   /**
-   * Get a type definition by name.
-   * @param {string} typeName The name of the type.
-   * @returns {Object} A type definition.
+   * Call every observer with a processing event.
+   * @param {Object} event The event.
    * */
-  async getTypeDefinition (typeName) {
-    if (this.typeMap instanceof Object) {
-      const typeDefinition = this.typeMap[typeName];
-
-      if (typeDefinition instanceof Object) {
-        return typeDefinition;
+  emitEvent (event) {
+    this.observers.forEach(observer => {
+      try {
+        observer(event);
+      } catch (error) {
+        // Observers must not affect processing.
       }
-    }
-
-    throw new TypeError(
-      AbstractTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_TYPE
-    );
+    });
   }
 
   /**
-   * Get the list of defined field names for a type by name.
-   * @param {string} typeName The name of the type.
-   * @returns {Array.<string>} The list of field names.
+   * Run a function for a processing step, emitting start and end, or error,
+   * events for it when there are observers.
+   * @param {string} stepName The name of the processing method.
+   * @param {Object} input The input for the step.
+   * @param {Function} run The function that runs the step.
+   * @returns {*} The result of the step.
    * */
-  async getFieldList (typeName) {
-    const typeDefinition = await this.getTypeDefinition(typeName);
-    const { fields } = typeDefinition;
+  async observeStep (stepName, input, run) {
+    const step = AbstractTypeProcessor.OBSERVED_STEPS[stepName];
 
-    if (fields instanceof Object) {
-      return Object.keys(fields);
+    if (!this.observers.length || !step) {
+      return run();
     }
 
-    throw new TypeError(
-      AbstractTypeProcessor.ERROR_MESSAGES.MISSING_FIELDS_FOR_TYPE
-    );
+    const { ERROR } = AbstractTypeProcessor.PROCESSING_EVENTS;
+    const { path = '', typeName, fieldName } = input;
+    const startTime = now();
+    const getEvent = (type, extra) => {
+      const time = now();
+
+      return {
+        type,
+        step,
+        path,
+        typeName,
+        fieldName,
+        time,
+        ...(extra && {
+          startTime,
+          duration: time - startTime,
+          ...extra
+        })
+      };
+    };
+
+    this.emitEvent(getEvent(`${step}Start`));
+
+    try {
+      const result = await run();
+
+      this.emitEvent(getEvent(`${step}End`, {}));
+
+      return result;
+    } catch (error) {
+      this.emitEvent(getEvent(ERROR, { error }));
+
+      throw error;
+    }
   }
 
   /**
-   * Get a field descriptor by type and field name.
-   * @param {string} typeName The name of the type.
-   * @param {string} fieldName The name of the field.
-   * @returns {Object} A field descriptor.
+   * Throw a `PROCESSING_ABORTED` error if the `signal` of the input is aborted
+   * or the `timeout` of the processing call has passed. The `reason` of the
+   * error is the abort reason, or a `PROCESSING_TIMEOUT` error.
+   * @param {Object} input The input for a processing step.
+   * @param {AbortSignal} input.signal The abort signal.
    * */
-  async getFieldDescriptor (typeName, fieldName) {
-    const typeDefinition = await this.getTypeDefinition(typeName);
-    const { fields } = typeDefinition;
+  throwIfAborted (input) {
+    const { signal, runContext = {} } = input;
+    const { deadline, timeoutError } = runContext;
 
-    if (fields instanceof Object) {
-      const f = fields[fieldName];
+    let reason;
 
-      if (f instanceof Object) {
-        return f;
-      }
+    if (signal && signal.aborted) {
+      reason = signal.reason;
+    } else if (typeof deadline === 'number' && Date.now() >= deadline) {
+      reason = timeoutError;
+    } else {
+      return;
     }
 
-    throw new TypeError(
-      AbstractTypeProcessor.ERROR_MESSAGES.NON_EXISTENT_FIELD
+    const abortError = new TypeError(
+      AbstractTypeProcessor.ERROR_MESSAGES.PROCESSING_ABORTED
     );
+
+    abortError.reason = reason;
+
+    throw abortError;
   }
 
   /**
-   * Get a feature configuration for the specified type and feature name.
-   * @param {string} typeName The name of the type.
-   * @param {string} featureName The name of the feature.
-   * @returns {Object} The feature configuration or `undefined` if none exists.
+   * Add a plugin. A plugin is an object with an optional `name`, an optional
+   * numeric `order` and a list of `hooks`.
+   * Each hook has a `step`, one of `PLUGIN_STEPS`, and any of these handlers:
+   * - `before(input)`: Returns a replacement input, `undefined` to keep the
+   * input, or `AbstractTypeProcessor.shortCircuit(result)` to skip the rest of
+   * the step.
+   * - `around(input, next)`: Returns the result, usually by calling `next` with
+   * the input.
+   * - `after(result, input)`: Returns a replacement result or `undefined` to
+   * keep the result.
+   * A hook only runs when it matches its optional `typeName` and `fieldName`
+   * filters, each a name or a list of names, and its optional `feature`
+   * filter, the name of a feature that the field or the type must have.
+   * Plugins run in ascending `order`, then in the order they were added. The
+   * first plugin is the outermost, so its `before` handler runs first and its
+   * `after` handler runs last.
+   * @param {Object} plugin The plugin.
+   * @returns {AbstractTypeProcessor} This instance.
    * */
-  async getTypeFeature (typeName, featureName) {
-    const typeDefinition = await this.getTypeDefinition(typeName);
-    const { features = {} } = typeDefinition;
+  use (plugin) {
+    this.plugins = [...this.plugins, plugin];
 
-    return features[featureName];
+    return this;
   }
 
   /**
-   * Get a feature configuration for the specified type, field and feature name.
-   * @param {string} typeName The name of the type.
-   * @param {string} fieldName The name of the field.
-   * @param {string} featureName The name of the feature.
-   * @returns {Object} The feature configuration or `undefined` if none exists.
+   * Add a migration step. A migration step has a `typeName`, a numeric
+   * `fromVersion` and `toVersion` and a `migrate(item, input)` function that
+   * returns the item with the shape of `toVersion`.
+   * @param {Object} migration The migration step.
+   * @returns {AbstractTypeProcessor} This instance.
    * */
-  async getFieldFeature (typeName, fieldName, featureName) {
-    const fieldDescriptor = await this.getFieldDescriptor(typeName, fieldName);
-    const { features = {} } = fieldDescriptor;
+  registerMigration (migration) {
+    this.migrations = [...this.migrations, migration];
 
-    return features[featureName];
+    return this;
   }
 
   /**
-   * Process a primitive value.
-   * @abstract
+   * Migrate an item, stored with the shape of an older version of the type
+   * map, to a newer version. The migration steps of each type run as a chain
+   * from one version to the next, for the item and for the items in its
+   * fields, between the versions of that type.
    * @param {Object} input The input for the method.
-   * @param {*} input.value The value to process.
+   * @param {Object} input.item The item.
    * @param {string} input.typeName The name of the type.
-   * @returns {*} The processed value.
+   * @param {number} input.fromVersion The version the item was stored with.
+   * @param {number} input.toVersion The version to migrate to. Defaults to the
+   * `version` of the type.
+   * @param {Object.<string, number>} input.fromVersions The versions the items
+   * in the fields were stored with, by type name. Defaults to `0`.
+   * @param {Object.<string, number>} input.toVersions The versions to migrate
+   * the items in the fields to, by type name. Defaults to the `version` of
+   * each type.
+   * @returns {Object} The migrated item.
    * */
-  async processPrimitiveValue (input) {
-    const { value, typeName } = input;
+  async migrateItem (input) {
+    return migrateItem(this, input);
+  }
 
-    return value;
+  /**
+   * Check to see if a plugin hook applies to a processing step.
+   * @param {Object} hook The plugin hook.
+   * @param {string} stepName The name of the processing method.
+   * @param {Object} input The input for the step.
+   * @returns {boolean} A flag designating whether or not the hook applies.
+   * */
+  async pluginHookMatches (hook, stepName, input) {
+    const { step, typeName, fieldName, feature } = hook;
+    const {
+      typeName: inputTypeName,
+      fieldName: inputFieldName,
+      parentTypeName
+    } = input;
+
+    if (
+      step !== stepName ||
+      !matchesFilter(typeName, inputTypeName) ||
+      !matchesFilter(fieldName, inputFieldName)
+    ) {
+      return false;
+    }
+
+    if (typeof feature === 'undefined') {
+      return true;
+    }
+
+    const { valueExists } = AbstractTypeProcessor;
+    const fieldTypeName = stepName === 'processFieldValue'
+      ? inputTypeName
+      : parentTypeName;
+
+    if (
+      valueExists(fieldTypeName) &&
+      valueExists(inputFieldName) &&
+      valueExists(await this.getFieldFeature(
+        fieldTypeName,
+        inputFieldName,
+        feature
+      ))
+    ) {
+      return true;
+    }
+
+    return valueExists(inputTypeName) &&
+      valueExists(await this.getTypeFeature(inputTypeName, feature));
   }
 
   /**
-   * Process a remote value.
-   * @abstract
+   * Run a processing step wrapped in the plugin hooks that apply to it.
+   * @param {string} stepName The name of the processing method.
+   * @param {Object} input The input for the step.
+   * @param {Function} step The step, called on this instance with the input.
+   * @returns {*} The result of the step.
+   * */
+  async runPluginHooks (stepName, input, step) {
+    if (!this.plugins.length) {
+      return step.call(this, input);
+    }
+
+    const hookList = [];
+
+    this.plugins
+      .map((plugin, index) => ({ plugin, index }))
+      .sort((a, b) => (a.plugin.order || 0) - (b.plugin.order || 0) ||
+        a.index - b.index)
+      .forEach(({ plugin: { hooks = [] } }) => hookList.push(...hooks));
+
+    const matchingHookList = [];
+
+    for (let i = 0; i < hookList.length; i++) {
+      if (await this.pluginHookMatches(hookList[i], stepName, input)) {
+        matchingHookList.push(hookList[i]);
+      }
+    }
+
+    const runHook = async (index, hookInput) => {
+      const hook = matchingHookList[index];
+
+      if (!hook) {
+        return step.call(this, hookInput);
+      }
+
+      const { before, around, after } = hook;
+      const next = nextInput => runHook(index + 1, nextInput);
+
+      let currentInput = hookInput;
+
+      if (before instanceof Function) {
+        const beforeResult = await before(currentInput);
+
+        if (beforeResult instanceof Object && beforeResult[SHORT_CIRCUIT]) {
+          return beforeResult.result;
+        }
+
+        if (typeof beforeResult !== 'undefined') {
+          currentInput = beforeResult;
+        }
+      }
+
+      const result = around instanceof Function
+        ? await around(currentInput, next)
+        : await next(currentInput);
+
+      if (after instanceof Function) {
+        const afterResult = await after(result, currentInput);
+
+        if (typeof afterResult !== 'undefined') {
+          return afterResult;
+        }
+      }
+
+      return result;
+    };
+
+    return runHook(0, input);
+  }
+
+  /**
+   * Resolve the concrete member type of a union type for a value.
+   * The `resolveType` type feature, a function called with the value and the
+   * input that returns a member type name, is used when it exists. Otherwise
+   * the `discriminator` of the union type definition is used. It is either
+   * the name of the field on the value holding the member type name, or an
+   * object with a `field` and a `mapping` from field values to member type
+   * names.
    * @param {Object} input The input for the method.
-   * @param {*} input.value The value to process.
-   * @param {string} input.typeName The name of the type.
-   * @returns {*} The processed value.
+   * @param {*} input.value The value to resolve the type for.
+   * @param {string} input.typeName The name of the union type.
+   * @returns {string} The name of the member type.
    * */
-  async processRemoteValue (input) {
+  async resolveUnionType (input) {
     const { value, typeName } = input;
+    const typeDefinition = await this.getTypeDefinition(typeName);
+    const { union = [], discriminator } = typeDefinition;
+    const resolveType = await this.getTypeFeature(typeName, 'resolveType');
+    const memberTypeName = resolveType instanceof Function
+      ? await resolveType(value, input)
+      : getDiscriminatedTypeName(discriminator, value);
 
-    return value;
+    if (union.indexOf(memberTypeName) === -1) {
+      throw new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.NO_MATCHING_UNION_MEMBER
+      );
+    }
+
+    return memberTypeName;
   }
 
   /**
@@ -153,27 +1798,69 @@ export default class AbstractTypeProcessor {
    * @param {Object} input The input for the method.
    * @param {*} input.value The value to process.
    * @param {string} input.typeName The name of the type of the value.
+   * @param {boolean} input.embedded When `true`, a value of a remote type is
+   * processed inline as an item of that type instead of as a remote value.
    * @returns {*} The processed value.
    * */
-  async processValue (input) {
-    const { value, typeName } = input;
+  processValue (input) {
+    return this.runStep('processValue', input, this.processValueStep);
+  }
+
+  /**
+   * The `processValue` step, run by `runStep`. See `processValue`.
+   * @param {Object} input The input for the method.
+   * @returns {*} The processed value.
+   * */
+  async processValueStep (input) {
+    const { value, typeName, embedded, select } = input;
     const typeDefinition = await this.getTypeDefinition(typeName);
-    const { primitive, remote } = typeDefinition;
+    const { primitive, remote, union } = typeDefinition;
 
     let newValue;
 
-    if (primitive) {
+    if (union instanceof Array) {
+      if (AbstractTypeProcessor.valueExists(value)) {
+        const memberTypeName = await this.resolveUnionType({
+          ...input,
+          value,
+          typeName
+        });
+
+        newValue = await this.processValue({
+          ...input,
+          value,
+          typeName: memberTypeName,
+          select: select
+            ? applyTypeConditions(
+              AbstractTypeProcessor.getSelection(select),
+              [typeName, memberTypeName]
+            )
+            : undefined
+        });
+      } else {
+        newValue = value;
+      }
+    } else if (primitive) {
       newValue = await this.processPrimitiveValue({
         ...input,
         value,
         typeName
       });
-    } else if (remote) {
-      newValue = await this.processRemoteValue({
+    } else if (remote && !embedded) {
+      const { remoteValueBatcher } = input.runContext;
+      const remoteInput = {
         ...input,
         value,
         typeName
-      });
+      };
+
+      newValue = await this.observeStep(
+        'processRemoteValue',
+        remoteInput,
+        () => remoteValueBatcher
+          ? remoteValueBatcher.load(remoteInput)
+          : this.processRemoteValue(remoteInput)
+      );
     } else {
       newValue = await this.processItem({
         ...input,
@@ -190,28 +1877,56 @@ export default class AbstractTypeProcessor {
    * @param {Object} input The input for the method.
    * @param {Array.<*>} input.valueList The list of values to process.
    * @param {string} input.typeName The name of the type of the values.
+   * @param {number} input.concurrency The maximum number of values processed
+   * at the same time.
+   * @param {string} input.path The path to the list, used to locate errors.
    * @returns {Array} The list of processed values.
    * */
-  async processValueList (input) {
-    const { valueList, typeName } = input;
+  processValueList (input) {
+    return this.runStep('processValueList', input, this.processValueListStep);
+  }
+
+  /**
+   * The `processValueList` step, run by `runStep`. See `processValueList`.
+   * @param {Object} input The input for the method.
+   * @returns {Array} The list of processed values.
+   * */
+  async processValueListStep (input) {
+    const {
+      valueList,
+      typeName,
+      fieldName,
+      path = '',
+      concurrency = this.concurrency
+    } = input;
 
     if (valueList instanceof Array) {
       const newList = [];
       const errorIndices = {};
+      const results = await mapSettled(
+        valueList,
+        getEffectiveConcurrency(concurrency, input.runContext),
+        (value, i) => this.processValue({
+          ...input,
+          value,
+          typeName,
+          path: AbstractTypeProcessor.appendPath(path, i)
+        })
+      );
 
-      for (let i = 0; i < valueList.length; i++) {
-        const value = valueList[i];
+      this.throwIfAborted(input);
 
-        try {
-          newList.push(await this.processValue({
-            ...input,
-            value,
-            typeName
-          }));
-        } catch (error) {
+      results.forEach(({ value, error }, i) => {
+        if (error) {
+          annotateError(error, {
+            path: AbstractTypeProcessor.appendPath(path, i),
+            fieldName
+          });
           errorIndices[i] = error;
+        } else {
+          newList.push(value);
         }
-      }
+      });
 
       if (Object.keys(errorIndices).length) {
         const typeError = new TypeError(
@@ -219,6 +1934,8 @@ export default class AbstractTypeProcessor {
         );
 
         typeError.indices = errorIndices;
+        typeError.path = path;
+        typeError.fieldName = fieldName;
 
         throw typeError;
       }
@@ -233,19 +1950,191 @@ export default class AbstractTypeProcessor {
     );
   }
 
+  /**
+   * Process a stream of values. Each value is processed with `processValue` as
+   * its own processing call, so a `timeout` applies to each value.
+   * No more than `concurrency` values are read from the source ahead of the
+   * consumer.
+   * @param {Object} input The input for the method.
+   * @param {Iterable|AsyncIterable} input.source The values to process.
+   * @param {string} input.typeName The name of the type of the values.
+   * @param {number} input.concurrency The maximum number of values processed
+   * at the same time.
+   * @param {boolean} input.yieldErrors When `true`, the error for a value
+   * that fails is yielded in its place, with its `index` and `path`, and
+   * processing continues. Otherwise, the first failure ends the stream with a
+   * `VALUE_LIST_ERROR`.
+   * @param {string} input.path The path to the stream, used to locate errors.
+   * @returns {AsyncIterator} An async iterator of the processed values, in the
+   * order of the source.
+   * */
+  processValueStream (input) {
+    const {
+      source,
+      yieldErrors = false,
+      path = '',
+      concurrency = this.concurrency,
+      ...valueInput
+    } = input;
+    const getIterator = source instanceof Object && (
+      source[Symbol.asyncIterator] || source[Symbol.iterator]
+    );
+
+    if (!(getIterator instanceof Function)) {
+      throw new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.INVALID_VALUE_STREAM
+      );
+    }
+
+    const iterator = getIterator.call(source);
+    const limit = Math.max(1, concurrency || 1);
+    const pending = [];
+
+    let nextIndex = 0;
+    let sourceDone = false;
+    let finished = false;
+    let queue = Promise.resolve();
+
+    const close = async () => {
+      finished = true;
+      pending.length = 0;
+
+      if (!sourceDone) {
+        sourceDone = true;
+
+        if (iterator.return instanceof Function) {
+          await iterator.return();
+        }
+      }
+    };
+    const fill = async () => {
+      while (!sourceDone && pending.length < limit) {
+        this.throwIfAborted(valueInput);
+
+        const { value, done } = await iterator.next();
+
+        if (done) {
+          sourceDone = true;
+        } else {
+          const index = nextIndex++;
+          const valuePath = AbstractTypeProcessor.appendPath(path, index);
+
+          pending.push({
+            index,
+            path: valuePath,
+            promise: this.processValue({
+              ...valueInput,
+              value,
+              path: valuePath
+            }).then(
+              newValue => ({ value: newValue }),
+              error => ({ error })
+            )
+          });
+        }
+      }
+    };
+    const readNext = async () => {
+      if (finished) {
+        return { done: true, value: undefined };
+      }
+
+      try {
+        await fill();
+      } catch (error) {
+        await close();
+
+        throw error;
+      }
+
+      if (!pending.length) {
+        finished = true;
+
+        return { done: true, value: undefined };
+      }
+
+      const { index, path: valuePath, promise } = pending.shift();
+      const { value, error } = await promise;
+
+      if (!error) {
+        return { done: false, value };
+      }
+
+      annotateError(error, {
+        index,
+        path: valuePath
+      });
+
+      if (yieldErrors) {
+        return { done: false, value: error };
+      }
+
+      await close();
+
+      const streamError = new TypeError(
+        AbstractTypeProcessor.ERROR_MESSAGES.VALUE_LIST_ERROR
+      );
+
+      streamError.indices = { [index]: error };
+      streamError.path = path;
+
+      throw streamError;
+    };
+
+    return {
+      next: () => {
+        queue = queue.then(readNext, readNext);
+
+        return queue;
+      },
+      return: value => {
+        queue = queue.then(close, close).then(() => ({ done: true, value }));
+
+        return queue;
+      },
+      [Symbol.asyncIterator] () {
+        return this;
+      }
+    };
+  }
+
   /**
    * Process a value for the given field of a given type.
+   * The `embedded` flag of the field descriptor is passed on to the
+   * processing methods and hooks as `input.embedded`, and the name of the
+   * type containing the field as `input.parentTypeName`.
    * @param {Object} input The input for the method.
    * @param {*} input.value The value to process.
    * @param {string} input.typeName The name of the type.
    * @param {string} input.fieldName The name of the field.
    * @returns {*} The processed value.
    * */
-  async processFieldValue (input) {
+  processFieldValue (input) {
+    return this.runStep(
+      'processFieldValue',
+      input,
+      this.processFieldValueStep
+    );
+  }
+
+  /**
+   * The `processFieldValue` step, run by `runStep`. See `processFieldValue`.
+   * @param {Object} input The input for the method.
+   * @returns {*} The processed value.
+   * */
+  async processFieldValueStep (input) {
     const { value, typeName, fieldName } = input;
 
-    const fieldDescriptor = await this.getFieldDescriptor(typeName, fieldName);
-    const { type: fieldTypeName, multiple } = fieldDescriptor;
+    const fieldDescriptor = await getCallCached(
+      input,
+      `fieldDescriptor:${typeName}.${fieldName}`,
+      () => this.getFieldDescriptor(typeName, fieldName)
+    );
+    const {
+      type: fieldTypeName,
+      multiple,
+      embedded = false
+    } = fieldDescriptor;
 
     let newValue;
 
@@ -253,13 +2142,17 @@ export default class AbstractTypeProcessor {
       newValue = await this.processValueList({
         ...input,
         valueList: value,
-        typeName: fieldTypeName
+        typeName: fieldTypeName,
+        parentTypeName: typeName,
+        embedded
       });
     } else {
       newValue = await this.processValue({
         ...input,
         value,
-        typeName: fieldTypeName
+        typeName: fieldTypeName,
+        parentTypeName: typeName,
+        embedded
       });
     }
 
@@ -271,38 +2164,251 @@ export default class AbstractTypeProcessor {
    * @param {Object} input The input for the method.
    * @param {Object|*} input.item The item to process.
    * @param {string} input.typeName The name of the type.
+   * @param {number} input.concurrency The maximum number of fields processed
+   * at the same time.
+   * @param {string} input.path The path to the item, used to locate errors.
+   * @param {string} input.circularReferences The strategy, from
+   * `CIRCULAR_REFERENCE_STRATEGIES`, for items that contain themselves.
+   * @param {number} input.maxDepth The maximum number of nested items.
+   * @param {Object} input.ancestors The innermost item being processed along
+   * the current path, with the original `item`, its `newItem`, the number of
+   * items along the path as `depth` and the entry of its parent item as
+   * `parent`.
+   * @param {string} input.mode The item processing mode, from `ITEM_MODES`.
+   * @param {string} input.unknownFields The policy, from
+   * `UNKNOWN_FIELD_POLICIES`, for item keys that are not fields of the type.
+   * @param {Object|Array} input.select The fields to process, as a nested
+   * selection or a list of paths. See `getSelection`. Every field is
+   * processed when omitted. Selections under the `$on` key of a nested
+   * selection, by type name, only apply to items of that type or to values
+   * of that union type.
    * @returns {Object|*} The processed item.
    * */
-  async processItem (input) {
-    const { item, typeName } = input;
+  processItem (input) {
+    return this.runStep('processItem', input, this.processItemStep);
+  }
+
+  /**
+   * The `processItem` step, run by `runStep`. See `processItem`.
+   * @param {Object} input The input for the method.
+   * @returns {Object|*} The processed item.
+   * */
+  async processItemStep (input) {
+    const {
+      item,
+      typeName,
+      path = '',
+      concurrency = this.concurrency,
+      circularReferences = this.circularReferences,
+      maxDepth = this.maxDepth,
+      ancestors,
+      mode = this.mode,
+      unknownFields = this.unknownFields,
+      select
+    } = input;
 
     if (item instanceof Object) {
-      const fieldList = await this.getFieldList(typeName);
+      const { SKIP, REUSE } = AbstractTypeProcessor
+        .CIRCULAR_REFERENCE_STRATEGIES;
+      let ancestor = ancestors;
+
+      while (ancestor && ancestor.item !== item) {
+        ancestor = ancestor.parent;
+      }
+
+      if (ancestor) {
+        if (circularReferences === SKIP) {
+          return undefined;
+        }
+
+        if (circularReferences === REUSE) {
+          return ancestor.newItem;
+        }
+
+        throw new TypeError(
+          AbstractTypeProcessor.ERROR_MESSAGES.CIRCULAR_REFERENCE
+        );
+      }
+
+      const depth = ancestors ? ancestors.depth : 0;
+
+      if (depth >= maxDepth) {
+        throw new TypeError(
+          AbstractTypeProcessor.ERROR_MESSAGES.MAX_DEPTH_EXCEEDED
+        );
+      }
+
+      const { PARTIAL } = AbstractTypeProcessor.ITEM_MODES;
+      const {
+        STRIP,
+        PASSTHROUGH,
+        ERROR
+      } = AbstractTypeProcessor.UNKNOWN_FIELD_POLICIES;
+      const typeFieldList = await getCallCached(
+        input,
+        `fieldList:${typeName}`,
+        () => this.getFieldList(typeName)
+      );
+      const selection = select
+        ? applyTypeConditions(
+          AbstractTypeProcessor.getSelection(select),
+          [typeName]
+        )
+        : undefined;
+      const selectedFieldList = selection
+        ? await this.getSelectedFieldList({
+          typeName,
+          selection,
+          path
+        })
+        : typeFieldList;
+      const fieldList = mode === PARTIAL
+        ? selectedFieldList.filter(
+          fieldName => Object.prototype.hasOwnProperty.call(item, fieldName)
+        )
+        : selectedFieldList;
+      const unknownFieldList = unknownFields === STRIP
+        ? []
+        : Object.keys(item).filter(key => typeFieldList.indexOf(key) === -1);
       const newItem = {};
       const errorFields = {};
+      const fieldAncestors = {
+        item,
+        newItem,
+        depth: depth + 1,
+        parent: ancestors
+      };
+      const typeComputedFieldList = await getCallCached(
+        input,
+        `computedFieldList:${typeName}`,
+        () => this.getComputedFieldList(typeName)
+      );
+      const computedFieldList = typeComputedFieldList.length
+        ? typeComputedFieldList.filter(
+          fieldName => selectedFieldList.indexOf(fieldName) !== -1
+        )
+        : typeComputedFieldList;
+      const valueFieldList = computedFieldList.length
+        ? fieldList.filter(
+          fieldName => computedFieldList.indexOf(fieldName) === -1
+        )
+        : fieldList;
+      const processedFieldList = [];
+      const getFieldInput = (fieldName, value) => ({
+        ...input,
+        value,
+        typeName,
+        fieldName,
+        path: AbstractTypeProcessor.appendPath(path, fieldName),
+        ancestors: fieldAncestors,
+        select: selection && selection[fieldName] instanceof Object
+          ? selection[fieldName]
+          : undefined
+      });
+      const applyResult = (fieldName, { value, error }) => {
+        if (error) {
+          const fieldPath = AbstractTypeProcessor.appendPath(path, fieldName);
 
-      for (let i = 0; i < fieldList.length; i++) {
-        const fieldName = fieldList[i];
-        const value = item[fieldName];
-
-        try {
-          newItem[fieldName] = await this.processFieldValue({
-            ...input,
-            value,
+          annotateError(error, {
+            path: fieldPath,
             typeName,
             fieldName
           });
-        } catch (error) {
+
+          if (error.indices instanceof Object) {
+            Object.keys(error.indices).forEach(index => annotateError(
+              error.indices[index],
+              {
+                path: AbstractTypeProcessor.appendPath(
+                  fieldPath,
+                  parseInt(index, 10)
+                ),
+                typeName,
+                fieldName
+              }
+            ));
+          }
+
           errorFields[fieldName] = error;
+        } else {
+          newItem[fieldName] = value;
+          processedFieldList.push(fieldName);
+        }
+      };
+      const results = await mapSettled(
+        valueFieldList,
+        getEffectiveConcurrency(concurrency, input.runContext),
+        fieldName => this.getFieldValue({
+          ...input,
+          item,
+          typeName,
+          fieldName
+        }).then(
+          value => this.processFieldValue(getFieldInput(fieldName, value))
+        )
+      );
+
+      this.throwIfAborted(input);
+
+      results.forEach((result, i) => applyResult(valueFieldList[i], result));
+
+      for (let i = 0; i < computedFieldList.length; i++) {
+        const fieldName = computedFieldList[i];
+        const {
+          computed: { dependsOn = [], compute }
+        } = await getCallCached(
+          input,
+          `fieldDescriptor:${typeName}.${fieldName}`,
+          () => this.getFieldDescriptor(typeName, fieldName)
+        );
+
+        if (dependsOn.every(d => processedFieldList.indexOf(d) !== -1)) {
+          try {
+            applyResult(fieldName, {
+              value: await this.processFieldValue(getFieldInput(
+                fieldName,
+                await compute(newItem, {
+                  ...input,
+                  item,
+                  typeName,
+                  fieldName
+                })
+              ))
+            });
+          } catch (error) {
+            applyResult(fieldName, { error });
+          }
         }
       }
 
+      this.throwIfAborted(input);
+
+      unknownFieldList.forEach(key => {
+        if (unknownFields === PASSTHROUGH) {
+          newItem[key] = item[key];
+        } else if (unknownFields === ERROR) {
+          const unknownFieldError = new TypeError(
+            AbstractTypeProcessor.ERROR_MESSAGES.UNKNOWN_FIELD
+          );
+
+          annotateError(unknownFieldError, {
+            path: AbstractTypeProcessor.appendPath(path, key),
+            typeName,
+            fieldName: key
+          });
+
+          errorFields[key] = unknownFieldError;
+        }
+      });
+
       if (Object.keys(errorFields).length) {
         const itemError = new TypeError(
           AbstractTypeProcessor.ERROR_MESSAGES.ITEM_ERROR
         );
 
         itemError.fields = errorFields;
+        itemError.path = path;
+        itemError.typeName = typeName;
 
         throw itemError;
       }
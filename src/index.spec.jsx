@@ -1,5 +1,6 @@
 import expect from 'expect.js';
 import AsynchronousTypeProcessor from './index';
+import UniversalTypeStructure from '../Universal Type Structure';
 
 const TYPE_MAP = {
   String: {
@@ -22,6 +23,19 @@ const TYPE_MAP = {
   }
 };
 
+const collectStream = async stream => {
+  const values = [];
+
+  let result = await stream.next();
+
+  while (!result.done) {
+    values.push(result.value);
+    result = await stream.next();
+  }
+
+  return values;
+};
+
 let atp,
   extendedInstance,
   primitiveValueFromExtendedInstance,
@@ -38,6 +52,32 @@ module.exports = {
     'should be a class': () => {
       expect(AsynchronousTypeProcessor).to.be.a(Function);
     },
+    constructor: {
+      'should assign the config over subclass property defaults': () => {
+        class BaseProcessor extends AsynchronousTypeProcessor {
+          first = 'base';
+          second = 'base';
+        }
+
+        class ChildProcessor extends BaseProcessor {
+          third = 'child';
+        }
+
+        atp = new ChildProcessor({
+          typeMap: TYPE_MAP,
+          second: 'config',
+          third: 'config'
+        });
+
+        expect(atp.first).to.equal('base');
+        expect(atp.second).to.equal('config');
+        expect(atp.third).to.equal('config');
+
+        atp.third = 'changed';
+
+        expect(atp.third).to.equal('changed');
+      }
+    },
     getTypeDefinition: {
       beforeEach: () => {
         atp = new AsynchronousTypeProcessor({
@@ -67,6 +107,384 @@ module.exports = {
         expect(ptv).to.be.an(Object);
       }
     },
+    validateTypeMap: {
+      'should return no diagnostics for a valid type map': () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP
+        });
+
+        expect(atp.validateTypeMap()).to.eql([]);
+      },
+      'should report a field with no type': () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: UniversalTypeStructure
+        });
+
+        expect(atp.validateTypeMap()).to.eql([
+          {
+            path: 'TypeName.fields.fieldName2',
+            code: AsynchronousTypeProcessor.ERROR_MESSAGES.MISSING_FIELD_TYPE,
+            typeName: 'TypeName',
+            fieldName: 'fieldName2'
+          }
+        ]);
+      },
+      'should report every problem in the type map': () => {
+        const {
+          NON_EXISTENT_TYPE,
+          MISSING_FIELDS_FOR_TYPE,
+          CONFLICTING_TYPE_FLAGS,
+          UNKNOWN_TYPE_KEY,
+          UNKNOWN_FIELD_KEY
+        } = AsynchronousTypeProcessor.ERROR_MESSAGES;
+
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            Both: {
+              primitive: true,
+              remote: true
+            },
+            Empty: {
+              lable: 'Typo'
+            },
+            Item: {
+              fields: {
+                missing: {
+                  type: 'Missing',
+                  multi: true
+                }
+              }
+            }
+          }
+        });
+
+        const diagnostics = atp
+          .validateTypeMap()
+          .map(({ path, code }) => ({ path, code }));
+
+        expect(diagnostics).to.eql([
+          { path: 'Both', code: CONFLICTING_TYPE_FLAGS },
+          { path: 'Empty.lable', code: UNKNOWN_TYPE_KEY },
+          { path: 'Empty.fields', code: MISSING_FIELDS_FOR_TYPE },
+          { path: 'Item.fields.missing.multi', code: UNKNOWN_FIELD_KEY },
+          { path: 'Item.fields.missing.type', code: NON_EXISTENT_TYPE }
+        ]);
+      },
+      'should throw on construction when validateOnConstruction is set': () => {
+        let error;
+
+        try {
+          atp = new AsynchronousTypeProcessor({
+            typeMap: UniversalTypeStructure,
+            validateOnConstruction: true
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.a(TypeError);
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.INVALID_TYPE_MAP
+        );
+        expect(error.diagnostics.length).to.equal(1);
+      }
+    },
+    inheritance: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Entity: {
+              features: {
+                storage: {
+                  table: 'entities'
+                },
+                audit: {}
+              },
+              fields: {
+                id: {
+                  type: 'String'
+                },
+                owner: {
+                  type: 'String',
+                  label: 'Owner'
+                }
+              }
+            },
+            Named: {
+              fields: {
+                name: {
+                  type: 'String'
+                }
+              }
+            },
+            Account: {
+              extends: ['Entity', 'Named'],
+              features: {
+                storage: {
+                  table: 'accounts'
+                }
+              },
+              fields: {
+                owner: {
+                  type: 'Contact'
+                },
+                balance: {
+                  type: 'String'
+                }
+              }
+            },
+            CycleA: {
+              extends: 'CycleB'
+            },
+            CycleB: {
+              extends: 'CycleA'
+            }
+          }
+        });
+      },
+      'should include inherited fields': async () => {
+        expect(await atp.getFieldList('Account'))
+          .to.eql(['id', 'owner', 'name', 'balance']);
+      },
+      'should let a type override inherited fields and features': async () => {
+        const owner = await atp.getFieldDescriptor('Account', 'owner');
+        const storage = await atp.getTypeFeature('Account', 'storage');
+        const audit = await atp.getTypeFeature('Account', 'audit');
+
+        expect(owner).to.eql({ type: 'Contact' });
+        expect(storage.table).to.equal('accounts');
+        expect(audit).to.eql({});
+      },
+      'should check subtypes': async () => {
+        expect(await atp.isSubtypeOf('Account', 'Entity')).to.equal(true);
+        expect(await atp.isSubtypeOf('Account', 'Account')).to.equal(true);
+        expect(await atp.isSubtypeOf('Entity', 'Account')).to.equal(false);
+      },
+      'should throw an error for inheritance cycles': async () => {
+        let error;
+
+        try {
+          await atp.getFieldList('CycleA');
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE
+        );
+      },
+      'should report inheritance cycles in the type map': () => {
+        const codes = atp.validateTypeMap().map(({ path, code }) => ({
+          path,
+          code
+        }));
+
+        expect(codes).to.eql([
+          {
+            path: 'CycleA.extends',
+            code: AsynchronousTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE
+          },
+          {
+            path: 'CycleB.extends',
+            code: AsynchronousTypeProcessor.ERROR_MESSAGES.INHERITANCE_CYCLE
+          }
+        ]);
+      }
+    },
+    embeddedFields: {
+      beforeEach: () => {
+        class EmbeddedClass extends AsynchronousTypeProcessor {
+          embeddedFlags = [];
+
+          async processPrimitiveValue ({ value, fieldName, embedded }) {
+            this.embeddedFlags.push(`${fieldName}:${embedded}`);
+
+            return value;
+          }
+
+          async processRemoteValue ({ value, fieldName, embedded }) {
+            this.embeddedFlags.push(`${fieldName}:${embedded}`);
+
+            return value && { id: value.id };
+          }
+        }
+
+        extendedInstance = new EmbeddedClass({
+          typeMap: {
+            ...TYPE_MAP,
+            Location: {
+              remote: true,
+              fields: {
+                id: {
+                  type: 'String'
+                },
+                city: {
+                  type: 'String'
+                }
+              }
+            },
+            Office: {
+              fields: {
+                location: {
+                  type: 'Location'
+                },
+                branches: {
+                  type: 'Location',
+                  multiple: true,
+                  embedded: true
+                },
+                tags: {
+                  type: 'String',
+                  multiple: true,
+                  embedded: true
+                }
+              }
+            }
+          }
+        });
+      },
+      'should process remote fields as remote values by default': async () => {
+        const office = await extendedInstance.processItem({
+          item: {
+            location: {
+              id: 'L1',
+              city: 'Springfield'
+            }
+          },
+          typeName: 'Office'
+        });
+
+        expect(office.location).to.eql({ id: 'L1' });
+        expect(extendedInstance.embeddedFlags).to.eql(['location:false']);
+      },
+      'should process embedded remote fields inline as items': async () => {
+        const office = await extendedInstance.processItem({
+          item: {
+            branches: [
+              {
+                id: 'L2',
+                city: 'Shelbyville'
+              }
+            ],
+            tags: ['main']
+          },
+          typeName: 'Office'
+        });
+
+        expect(office.branches).to.eql([
+          {
+            id: 'L2',
+            city: 'Shelbyville'
+          }
+        ]);
+        expect(extendedInstance.embeddedFlags).to.eql([
+          'location:false',
+          'id:false',
+          'city:false',
+          'tags:true'
+        ]);
+      }
+    },
+    unionTypes: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Number: {
+              primitive: true
+            },
+            CardPayment: {
+              fields: {
+                kind: {
+                  type: 'String'
+                },
+                cardNumber: {
+                  type: 'String'
+                }
+              }
+            },
+            BankPayment: {
+              fields: {
+                kind: {
+                  type: 'String'
+                },
+                iban: {
+                  type: 'String'
+                }
+              }
+            },
+            Payment: {
+              union: ['CardPayment', 'BankPayment'],
+              discriminator: {
+                field: 'kind',
+                mapping: {
+                  card: 'CardPayment',
+                  bank: 'BankPayment'
+                }
+              }
+            },
+            Amount: {
+              union: ['String', 'Number'],
+              features: {
+                resolveType: value => typeof value === 'number'
+                  ? 'Number'
+                  : 'String'
+              }
+            }
+          }
+        });
+      },
+      'should process a value as the discriminated member type': async () => {
+        const payment = await atp.processValue({
+          value: {
+            kind: 'bank',
+            iban: 'DE00',
+            cardNumber: '4111'
+          },
+          typeName: 'Payment'
+        });
+
+        expect(payment).to.eql({
+          kind: 'bank',
+          iban: 'DE00'
+        });
+      },
+      'should use the resolveType type feature': async () => {
+        class PrefixingClass extends AsynchronousTypeProcessor {
+          async processPrimitiveValue ({ value, typeName }) {
+            return `${typeName}:${value}`;
+          }
+        }
+
+        const prefixingInstance = new PrefixingClass({
+          typeMap: atp.typeMap
+        });
+
+        expect(await prefixingInstance.processValue({
+          value: 12,
+          typeName: 'Amount'
+        })).to.equal('Number:12');
+      },
+      'should throw an error for values matching no member': async () => {
+        let error;
+
+        try {
+          await atp.processValue({
+            value: {
+              kind: 'cash'
+            },
+            typeName: 'Payment'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.NO_MATCHING_UNION_MEMBER
+        );
+      }
+    },
     processItem: {
       beforeEach: () => {
         class ATPExtendedClass extends AsynchronousTypeProcessor {
@@ -111,6 +529,1433 @@ module.exports = {
         });
 
         expect(remoteValueFromExtendedInstance.line1).to.equal(line1);
+      },
+      'should keep field order and report field errors': async () => {
+        class FailingClass extends AsynchronousTypeProcessor {
+          async processRemoteValue () {
+            throw new Error('REMOTE_FAILURE');
+          }
+        }
+
+        const failingInstance = new FailingClass({
+          typeMap: TYPE_MAP,
+          concurrency: 2
+        });
+
+        let error;
+
+        try {
+          await failingInstance.processItem({
+            item: {
+              firstName: 'First',
+              address: 'A1'
+            },
+            typeName: 'Contact'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.ITEM_ERROR
+        );
+        expect(Object.keys(error.fields)).to.eql(['address']);
+        expect(error.fields.address.message).to.equal('REMOTE_FAILURE');
+      },
+      'should read the fields of a type once per processing call': async () => {
+        const calls = [];
+
+        class CountingClass extends AsynchronousTypeProcessor {
+          async getFieldList (typeName) {
+            calls.push(`getFieldList:${typeName}`);
+
+            return super.getFieldList(typeName);
+          }
+
+          async getFieldDescriptor (typeName, fieldName) {
+            calls.push(`getFieldDescriptor:${typeName}.${fieldName}`);
+
+            return super.getFieldDescriptor(typeName, fieldName);
+          }
+        }
+
+        const countingInstance = new CountingClass({
+          typeMap: TYPE_MAP
+        });
+        const valueList = [
+          { firstName: 'A' },
+          { firstName: 'B' },
+          { firstName: 'C' }
+        ];
+
+        await countingInstance.processValueList({
+          valueList,
+          typeName: 'Contact'
+        });
+
+        // Once for the item fields and once for the computed fields.
+        expect(
+          calls.filter(call => call === 'getFieldList:Contact').length
+        ).to.equal(2);
+        expect(
+          calls.filter(call => call === 'getFieldDescriptor:Contact.firstName')
+            .length
+        ).to.equal(2);
+      }
+    },
+    flattenError: {
+      beforeEach: () => {
+        class FailingClass extends AsynchronousTypeProcessor {
+          async processPrimitiveValue ({ value }) {
+            if (value === 'bad') {
+              throw new TypeError('BAD_VALUE');
+            }
+
+            return value;
+          }
+        }
+
+        extendedInstance = new FailingClass({
+          typeMap: {
+            ...TYPE_MAP,
+            Person: {
+              fields: {
+                name: {
+                  type: 'String'
+                },
+                contacts: {
+                  type: 'Contact',
+                  multiple: true
+                },
+                tags: {
+                  type: 'String',
+                  multiple: true
+                }
+              }
+            }
+          }
+        });
+      },
+      'should add paths, type names and field names to errors': async () => {
+        let error;
+
+        try {
+          await extendedInstance.processItem({
+            item: {
+              name: 'bad',
+              contacts: [
+                { firstName: 'First' },
+                { firstName: 'bad' }
+              ],
+              tags: ['ok', 'bad']
+            },
+            typeName: 'Person',
+            path: 'person'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        const contactError = error.fields.contacts.indices[1];
+
+        expect(error.path).to.equal('person');
+        expect(error.typeName).to.equal('Person');
+        expect(contactError.path).to.equal('person.contacts[1]');
+        expect(contactError.typeName).to.equal('Contact');
+        expect(contactError.fields.firstName.path)
+          .to.equal('person.contacts[1].firstName');
+        expect(contactError.fields.firstName.fieldName).to.equal('firstName');
+        expect(error.fields.tags.indices[1].typeName).to.equal('Person');
+      },
+      'should flatten the error tree into leaf errors': async () => {
+        let error;
+
+        try {
+          await extendedInstance.processItem({
+            item: {
+              name: 'bad',
+              contacts: [
+                { firstName: 'bad' }
+              ],
+              tags: ['bad']
+            },
+            typeName: 'Person'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        const entries = AsynchronousTypeProcessor.flattenError(error);
+
+        expect(entries.map(({ path, code, typeName, fieldName }) => ({
+          path,
+          code,
+          typeName,
+          fieldName
+        }))).to.eql([
+          {
+            path: 'name',
+            code: 'BAD_VALUE',
+            typeName: 'Person',
+            fieldName: 'name'
+          },
+          {
+            path: 'contacts[0].firstName',
+            code: 'BAD_VALUE',
+            typeName: 'Contact',
+            fieldName: 'firstName'
+          },
+          {
+            path: 'tags[0]',
+            code: 'BAD_VALUE',
+            typeName: 'Person',
+            fieldName: 'tags'
+          }
+        ]);
+        expect(entries[0].cause).to.be.a(TypeError);
+      }
+    },
+    batchRemoteValues: {
+      beforeEach: () => {
+        class BatchingClass extends AsynchronousTypeProcessor {
+          batches = [];
+          singleValues = [];
+
+          async getRemoteValueKey ({ value }) {
+            return value && value.id;
+          }
+
+          async processRemoteValues ({ values, typeName }) {
+            this.batches.push(values.map(({ id }) => id));
+
+            return values.map(({ id }) => id === 'bad'
+              ? new Error('NOT_FOUND')
+              : `${typeName}:${id}`);
+          }
+        }
+
+        extendedInstance = new BatchingClass({
+          typeMap: TYPE_MAP,
+          batchRemoteValues: true,
+          concurrency: 10
+        });
+      },
+      'should resolve remote values in one deduplicated batch': async () => {
+        const contacts = await extendedInstance.processValueList({
+          valueList: [
+            { address: { id: 'A1' } },
+            { address: { id: 'A2' } },
+            { address: { id: 'A1' } }
+          ],
+          typeName: 'Contact'
+        });
+
+        expect(contacts.map(({ address }) => address))
+          .to.eql(['Address:A1', 'Address:A2', 'Address:A1']);
+        expect(extendedInstance.batches).to.eql([['A1', 'A2']]);
+      },
+      'should batch the remote values of a list by default': async () => {
+        const defaultInstance = new extendedInstance.constructor({
+          typeMap: TYPE_MAP,
+          batchRemoteValues: true
+        });
+        const addresses = await defaultInstance.processValueList({
+          valueList: [{ id: 'A1' }, { id: 'A2' }, { id: 'A3' }],
+          typeName: 'Address'
+        });
+
+        expect(addresses).to.eql(['Address:A1', 'Address:A2', 'Address:A3']);
+        expect(defaultInstance.batches).to.eql([['A1', 'A2', 'A3']]);
+      },
+      'should fail only the values with error results': async () => {
+        let error;
+
+        try {
+          await extendedInstance.processValueList({
+            valueList: [
+              { address: { id: 'A1' } },
+              { address: { id: 'bad' } }
+            ],
+            typeName: 'Contact'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(Object.keys(error.indices)).to.eql(['1']);
+        expect(AsynchronousTypeProcessor.flattenError(error)[0].path)
+          .to.equal('[1].address');
+      },
+      'should fall back to processRemoteValue for each value': async () => {
+        class FallbackClass extends AsynchronousTypeProcessor {
+          async processRemoteValue ({ value }) {
+            remoteValueFromExtendedInstance = value;
+
+            return `Address:${value}`;
+          }
+        }
+
+        const fallbackInstance = new FallbackClass({
+          typeMap: TYPE_MAP,
+          batchRemoteValues: true
+        });
+        const contact = await fallbackInstance.processItem({
+          item: {
+            address: 'A3'
+          },
+          typeName: 'Contact'
+        });
+
+        expect(contact.address).to.equal('Address:A3');
+        expect(remoteValueFromExtendedInstance).to.equal('A3');
+      }
+    },
+    recursiveItems: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Person: {
+              fields: {
+                name: {
+                  type: 'String'
+                },
+                manager: {
+                  type: 'Person'
+                }
+              }
+            }
+          }
+        });
+      },
+      'should throw an error for circular references': async () => {
+        const person = { name: 'A' };
+
+        person.manager = { name: 'B', manager: person };
+
+        let error;
+
+        try {
+          await atp.processItem({
+            item: person,
+            typeName: 'Person'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        const entries = AsynchronousTypeProcessor.flattenError(error);
+
+        expect(entries.length).to.equal(1);
+        expect(entries[0].path).to.equal('manager.manager');
+        expect(entries[0].code).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.CIRCULAR_REFERENCE
+        );
+      },
+      'should skip circular references': async () => {
+        const person = { name: 'A' };
+
+        person.manager = person;
+
+        expect(await atp.processItem({
+          item: person,
+          typeName: 'Person',
+          circularReferences: 'skip'
+        })).to.eql({
+          name: 'A',
+          manager: undefined
+        });
+      },
+      [`should reuse the processed ancestor
+      for circular references`]: async () => {
+        const person = { name: 'A' };
+
+        person.manager = { name: 'B', manager: person };
+
+        const newPerson = await atp.processItem({
+          item: person,
+          typeName: 'Person',
+          circularReferences: 'reuse'
+        });
+
+        expect(newPerson).not.to.be(person);
+        expect(newPerson.manager.manager).to.be(newPerson);
+      },
+      'should process repeated, non-circular references': async () => {
+        const manager = { name: 'B' };
+
+        expect(await atp.processValueList({
+          valueList: [
+            { name: 'A', manager },
+            { name: 'C', manager }
+          ],
+          typeName: 'Person'
+        })).to.eql([
+          { name: 'A', manager: { name: 'B', manager: undefined } },
+          { name: 'C', manager: { name: 'B', manager: undefined } }
+        ]);
+      },
+      'should enforce the maximum depth': async () => {
+        let error;
+
+        try {
+          await atp.processItem({
+            item: {
+              manager: {
+                manager: {}
+              }
+            },
+            typeName: 'Person',
+            maxDepth: 2
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        const entries = AsynchronousTypeProcessor.flattenError(error);
+
+        expect(entries[0].path).to.equal('manager.manager');
+        expect(entries[0].code).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.MAX_DEPTH_EXCEEDED
+        );
+      }
+    },
+    use: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Note: {
+              fields: {
+                title: {
+                  type: 'String',
+                  features: {
+                    trim: {}
+                  }
+                },
+                body: {
+                  type: 'String'
+                },
+                address: {
+                  type: 'Address'
+                }
+              }
+            }
+          }
+        });
+      },
+      'should run hooks filtered by feature presence': async () => {
+        atp.use({
+          name: 'trim',
+          hooks: [
+            {
+              step: 'processValue',
+              feature: 'trim',
+              before: input => ({
+                ...input,
+                value: input.value.trim()
+              })
+            }
+          ]
+        });
+
+        expect(await atp.processItem({
+          item: {
+            title: ' Title ',
+            body: ' Body '
+          },
+          typeName: 'Note'
+        })).to.eql({
+          title: 'Title',
+          body: ' Body ',
+          address: undefined
+        });
+      },
+      'should run plugins in order and filter by names': async () => {
+        const calls = [];
+        const getAuditPlugin = (name, order) => ({
+          name,
+          order,
+          hooks: [
+            {
+              step: 'processFieldValue',
+              typeName: 'Note',
+              fieldName: ['title', 'body'],
+              around: async (input, next) => {
+                calls.push(`${name}:before:${input.fieldName}`);
+
+                const result = await next(input);
+
+                calls.push(`${name}:after:${input.fieldName}`);
+
+                return result;
+              }
+            }
+          ]
+        });
+
+        atp
+          .use(getAuditPlugin('second', 1))
+          .use(getAuditPlugin('first', 0));
+
+        await atp.processItem({
+          item: {
+            title: 'Title'
+          },
+          typeName: 'Note'
+        });
+
+        expect(calls).to.eql([
+          'first:before:title',
+          'second:before:title',
+          'second:after:title',
+          'first:after:title',
+          'first:before:body',
+          'second:before:body',
+          'second:after:body',
+          'first:after:body'
+        ]);
+      },
+      'should allow hooks to short-circuit and replace results': async () => {
+        atp.use({
+          hooks: [
+            {
+              step: 'processValue',
+              typeName: 'Address',
+              before: ({ value }) => AsynchronousTypeProcessor.shortCircuit({
+                id: value
+              })
+            },
+            {
+              step: 'processItem',
+              after: result => ({
+                ...result,
+                processed: true
+              })
+            }
+          ]
+        });
+
+        expect(await atp.processItem({
+          item: {
+            address: 'A1'
+          },
+          typeName: 'Note'
+        })).to.eql({
+          title: undefined,
+          body: undefined,
+          address: {
+            id: 'A1'
+          },
+          processed: true
+        });
+      }
+    },
+    abort: {
+      beforeEach: () => {
+        class SlowClass extends AsynchronousTypeProcessor {
+          signals = [];
+          processedValues = [];
+
+          async processRemoteValue ({ value, signal }) {
+            this.signals.push(signal);
+
+            await new Promise(res => setTimeout(res, 20));
+
+            this.processedValues.push(value);
+
+            return value;
+          }
+        }
+
+        extendedInstance = new SlowClass({
+          typeMap: TYPE_MAP
+        });
+      },
+      'should stop processing when the signal is aborted': async () => {
+        const controller = new AbortController();
+
+        let error;
+
+        setTimeout(() => controller.abort('STOP'), 30);
+
+        try {
+          await extendedInstance.processValueList({
+            valueList: ['A1', 'A2', 'A3', 'A4'],
+            typeName: 'Address',
+            signal: controller.signal
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.PROCESSING_ABORTED
+        );
+        expect(error.reason).to.equal('STOP');
+        expect(error.indices).to.be(undefined);
+        expect(extendedInstance.processedValues.length).to.be.below(4);
+        expect(extendedInstance.signals[0]).to.be(controller.signal);
+      },
+      'should stop processing when the timeout has passed': async () => {
+        const {
+          PROCESSING_ABORTED,
+          PROCESSING_TIMEOUT
+        } = AsynchronousTypeProcessor.ERROR_MESSAGES;
+
+        let error;
+
+        try {
+          await extendedInstance.processItem({
+            item: {
+              firstName: 'First',
+              address: 'A1'
+            },
+            typeName: 'Contact',
+            timeout: 10
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(PROCESSING_ABORTED);
+        expect(error.reason.message).to.equal(PROCESSING_TIMEOUT);
+        expect(extendedInstance.signals[0].aborted).to.equal(true);
+      },
+      'should not abort calls that finish in time': async () => {
+        expect(await extendedInstance.processValue({
+          value: 'A1',
+          typeName: 'Address',
+          timeout: 1000
+        })).to.equal('A1');
+      }
+    },
+    processValueStream: {
+      beforeEach: () => {
+        class StreamClass extends AsynchronousTypeProcessor {
+          async processRemoteValue ({ value }) {
+            await new Promise(res => setTimeout(res, 10 - value));
+
+            if (value === 3) {
+              throw new Error('REMOTE_FAILURE');
+            }
+
+            return value * 2;
+          }
+        }
+
+        extendedInstance = new StreamClass({
+          typeMap: TYPE_MAP
+        });
+      },
+      'should process a sync iterable in order': async () => {
+        const stream = extendedInstance.processValueStream({
+          source: new Set([1, 2, 4]),
+          typeName: 'Address',
+          concurrency: 3
+        });
+
+        expect(await collectStream(stream)).to.eql([2, 4, 8]);
+      },
+      'should read no further ahead than the concurrency': async () => {
+        let pulled = 0;
+
+        const source = {
+          [Symbol.asyncIterator]: () => ({
+            next: async () => {
+              pulled++;
+
+              return pulled > 10
+                ? { done: true }
+                : { done: false, value: 1 };
+            }
+          })
+        };
+        const stream = extendedInstance.processValueStream({
+          source,
+          typeName: 'Address',
+          concurrency: 2
+        });
+
+        expect(await stream.next()).to.eql({ done: false, value: 2 });
+        expect(pulled).to.equal(2);
+        expect(await stream.next()).to.eql({ done: false, value: 2 });
+        expect(pulled).to.equal(3);
+        expect((await collectStream(stream)).length).to.equal(8);
+      },
+      'should yield errors inline with their index': async () => {
+        const stream = extendedInstance.processValueStream({
+          source: [1, 3, 4],
+          typeName: 'Address',
+          yieldErrors: true
+        });
+        const values = await collectStream(stream);
+
+        expect(values[0]).to.equal(2);
+        expect(values[1]).to.be.an(Error);
+        expect(values[1].index).to.equal(1);
+        expect(values[1].path).to.equal('[1]');
+        expect(values[2]).to.equal(8);
+      },
+      'should end the stream on the first error by default': async () => {
+        let returned = false;
+
+        const source = {
+          [Symbol.iterator]: () => {
+            let value = 0;
+
+            return {
+              next: () => ({ done: false, value: ++value }),
+              return: () => {
+                returned = true;
+
+                return { done: true };
+              }
+            };
+          }
+        };
+        const stream = extendedInstance.processValueStream({
+          source,
+          typeName: 'Address'
+        });
+
+        let error;
+
+        try {
+          await collectStream(stream);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.VALUE_LIST_ERROR
+        );
+        expect(Object.keys(error.indices)).to.eql(['2']);
+        expect(returned).to.equal(true);
+        expect(await stream.next()).to.eql({ done: true, value: undefined });
+      },
+      'should throw an error for sources that are not iterable': () => {
+        expect(() => extendedInstance.processValueStream({
+          source: 12,
+          typeName: 'Address'
+        })).to.throwException(error => expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.INVALID_VALUE_STREAM
+        ));
+      }
+    },
+    partialItems: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP
+        });
+      },
+      'should write every declared field by default': async () => {
+        const contact = await atp.processItem({
+          item: {
+            firstName: 'First',
+            nickname: 'Nick'
+          },
+          typeName: 'Contact'
+        });
+
+        expect(Object.keys(contact)).to.eql(['firstName', 'address']);
+      },
+      'should only process present fields in partial mode': async () => {
+        const contact = await atp.processItem({
+          item: {
+            firstName: 'First'
+          },
+          typeName: 'Contact',
+          mode: 'partial'
+        });
+
+        expect(contact).to.eql({ firstName: 'First' });
+        expect(contact.hasOwnProperty('address')).to.equal(false);
+      },
+      'should pass unknown fields through': async () => {
+        expect(await atp.processItem({
+          item: {
+            address: 'A1',
+            nickname: 'Nick'
+          },
+          typeName: 'Contact',
+          mode: 'partial',
+          unknownFields: 'passthrough'
+        })).to.eql({
+          address: 'A1',
+          nickname: 'Nick'
+        });
+      },
+      'should report unknown fields as errors': async () => {
+        let error;
+
+        try {
+          await atp.processItem({
+            item: {
+              firstName: 'First',
+              nickname: 'Nick'
+            },
+            typeName: 'Contact',
+            unknownFields: 'error'
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        const entries = AsynchronousTypeProcessor.flattenError(error);
+
+        expect(entries.length).to.equal(1);
+        expect(entries[0].path).to.equal('nickname');
+        expect(entries[0].code).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.UNKNOWN_FIELD
+        );
+      }
+    },
+    computedFields: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Person: {
+              fields: {
+                firstName: {
+                  type: 'String'
+                },
+                lastName: {
+                  type: 'String',
+                  default: 'Doe'
+                },
+                createdOn: {
+                  type: 'String',
+                  default: ({ typeName }) => `${typeName}:created`
+                },
+                initials: {
+                  type: 'String',
+                  computed: {
+                    dependsOn: ['fullName'],
+                    compute: ({ fullName }) => fullName
+                      .split(' ')
+                      .map(part => part.charAt(0))
+                      .join('')
+                  }
+                },
+                fullName: {
+                  type: 'String',
+                  computed: {
+                    dependsOn: ['firstName', 'lastName'],
+                    compute: async ({ firstName, lastName }) =>
+                      `${firstName} ${lastName}`
+                  }
+                }
+              }
+            }
+          }
+        });
+      },
+      'should apply static and factory defaults': async () => {
+        const person = await atp.processItem({
+          item: {
+            firstName: 'Jane',
+            createdOn: null
+          },
+          typeName: 'Person'
+        });
+
+        expect(person.lastName).to.equal('Doe');
+        expect(person.createdOn).to.equal('Person:created');
+      },
+      'should compute fields in dependency order': async () => {
+        expect(await atp.processItem({
+          item: {
+            firstName: 'Jane',
+            lastName: 'Smith',
+            fullName: 'Ignored'
+          },
+          typeName: 'Person'
+        })).to.eql({
+          firstName: 'Jane',
+          lastName: 'Smith',
+          createdOn: 'Person:created',
+          fullName: 'Jane Smith',
+          initials: 'JS'
+        });
+      },
+      'should skip computed fields with missing dependencies': async () => {
+        expect(await atp.processItem({
+          item: {
+            firstName: 'Jane'
+          },
+          typeName: 'Person',
+          mode: 'partial'
+        })).to.eql({
+          firstName: 'Jane'
+        });
+      },
+      'should report computed field cycles': async () => {
+        const typeMap = {
+          String: {
+            primitive: true
+          },
+          Loop: {
+            fields: {
+              a: {
+                type: 'String',
+                computed: {
+                  dependsOn: ['b'],
+                  compute: ({ b }) => b
+                }
+              },
+              b: {
+                type: 'String',
+                computed: {
+                  dependsOn: ['a'],
+                  compute: ({ a }) => a
+                }
+              },
+              c: {
+                type: 'String',
+                computed: {
+                  compute: 'c'
+                }
+              }
+            }
+          }
+        };
+        const diagnostics = new AsynchronousTypeProcessor({
+          typeMap
+        }).validateTypeMap();
+
+        expect(diagnostics.map(({ path, code }) => `${path}:${code}`)).to.eql([
+          'Loop.fields.c.computed:INVALID_COMPUTED_FIELD',
+          'Loop.fields.a.computed:COMPUTED_FIELD_CYCLE',
+          'Loop.fields.b.computed:COMPUTED_FIELD_CYCLE'
+        ]);
+      }
+    },
+    select: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Company: {
+              fields: {
+                name: {
+                  type: 'String'
+                },
+                contacts: {
+                  type: 'Contact',
+                  multiple: true
+                },
+                owner: {
+                  type: 'Contact'
+                }
+              }
+            }
+          },
+          processRemoteValue: async ({ value, select }) => ({
+            value,
+            select
+          })
+        });
+      },
+      'should only process selected fields': async () => {
+        expect(await atp.processItem({
+          item: {
+            name: 'Company',
+            contacts: [
+              {
+                firstName: 'First',
+                address: 'A1'
+              }
+            ],
+            owner: {
+              firstName: 'Owner',
+              address: 'A2'
+            }
+          },
+          typeName: 'Company',
+          select: {
+            contacts: {
+              firstName: true
+            },
+            owner: true
+          }
+        })).to.eql({
+          contacts: [
+            {
+              firstName: 'First'
+            }
+          ],
+          owner: {
+            firstName: 'Owner',
+            address: {
+              value: 'A2',
+              select: undefined
+            }
+          }
+        });
+      },
+      'should accept a list of paths': async () => {
+        expect(await atp.processItem({
+          item: {
+            name: 'Company',
+            owner: {
+              firstName: 'Owner',
+              address: 'A2'
+            }
+          },
+          typeName: 'Company',
+          select: ['name', 'owner.address.city', ['owner', 'address', 'zip']]
+        })).to.eql({
+          name: 'Company',
+          owner: {
+            address: {
+              value: 'A2',
+              select: {
+                city: true,
+                zip: true
+              }
+            }
+          }
+        });
+      },
+      'should throw an error for selected fields that do not exist':
+        async () => {
+          let error;
+
+          try {
+            await atp.processItem({
+              item: {
+                owner: {}
+              },
+              typeName: 'Company',
+              select: ['owner.nickname']
+            });
+          } catch (e) {
+            error = e;
+          }
+
+          const entries = AsynchronousTypeProcessor.flattenError(error);
+
+          expect(entries.map(({ path, code }) => `${path}:${code}`)).to.eql([
+            'owner.nickname:NON_EXISTENT_FIELD'
+          ]);
+        }
+    },
+    migrateItem: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: {
+            ...TYPE_MAP,
+            Phone: {
+              version: 2,
+              fields: {
+                number: {
+                  type: 'String'
+                }
+              }
+            },
+            Person: {
+              version: 2,
+              fields: {
+                name: {
+                  type: 'String'
+                },
+                phones: {
+                  type: 'Phone',
+                  multiple: true
+                },
+                address: {
+                  type: 'Address'
+                }
+              }
+            }
+          }
+        });
+        atp
+          .registerMigration({
+            typeName: 'Person',
+            fromVersion: 1,
+            toVersion: 2,
+            migrate: async ({ fullName, ...item }) => ({
+              ...item,
+              name: fullName
+            })
+          })
+          .registerMigration({
+            typeName: 'Person',
+            fromVersion: 0,
+            toVersion: 1,
+            migrate: async ({ first, last, ...item }) => ({
+              ...item,
+              fullName: `${first} ${last}`
+            })
+          })
+          .registerMigration({
+            typeName: 'Phone',
+            fromVersion: 1,
+            toVersion: 2,
+            migrate: async ({ digits }) => ({
+              number: `${digits}`
+            })
+          });
+      },
+      'should apply the migration steps and migrate nested items': async () => {
+        expect(await atp.migrateItem({
+          item: {
+            first: 'Jane',
+            last: 'Doe',
+            phones: [
+              {
+                digits: 5551234
+              }
+            ],
+            address: {
+              digits: 'unchanged'
+            }
+          },
+          typeName: 'Person',
+          fromVersion: 0,
+          fromVersions: {
+            Phone: 1
+          }
+        })).to.eql({
+          name: 'Jane Doe',
+          phones: [
+            {
+              number: '5551234'
+            }
+          ],
+          address: {
+            digits: 'unchanged'
+          }
+        });
+      },
+      'should only apply the steps between the versions': async () => {
+        expect(await atp.migrateItem({
+          item: {
+            first: 'Jane',
+            last: 'Doe'
+          },
+          typeName: 'Person',
+          fromVersion: 0,
+          toVersion: 1
+        })).to.eql({
+          fullName: 'Jane Doe'
+        });
+      },
+      'should locate errors from migration steps': async () => {
+        let error;
+
+        atp.registerMigration({
+          typeName: 'Phone',
+          fromVersion: 2,
+          toVersion: 3,
+          migrate: async () => {
+            throw new Error('BAD_PHONE');
+          }
+        });
+
+        try {
+          await atp.migrateItem({
+            item: {
+              phones: [{}, {}]
+            },
+            typeName: 'Person',
+            fromVersion: 2,
+            fromVersions: {
+              Phone: 2
+            },
+            toVersions: {
+              Phone: 3
+            }
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal('BAD_PHONE');
+        expect(error.path).to.equal('phones[0]');
+        expect(error.typeName).to.equal('Phone');
+      },
+      'should migrate nested items between the versions of their type':
+        async () => {
+          atp = new AsynchronousTypeProcessor({
+            typeMap: {
+              ...TYPE_MAP,
+              Address: {
+                version: 1,
+                fields: {
+                  city: {
+                    type: 'String'
+                  }
+                }
+              },
+              Contact: {
+                version: 3,
+                fields: {
+                  address: {
+                    type: 'Address'
+                  }
+                }
+              }
+            }
+          });
+          atp.registerMigration({
+            typeName: 'Address',
+            fromVersion: 0,
+            toVersion: 1,
+            migrate: async ({ town }) => ({
+              city: town
+            })
+          });
+
+          expect(await atp.migrateItem({
+            item: {
+              address: {
+                town: 'X'
+              }
+            },
+            typeName: 'Contact',
+            fromVersion: 2
+          })).to.eql({
+            address: {
+              city: 'X'
+            }
+          });
+          expect(await atp.migrateItem({
+            item: {
+              address: {
+                city: 'X'
+              }
+            },
+            typeName: 'Contact',
+            fromVersion: 2,
+            fromVersions: {
+              Address: 1
+            }
+          })).to.eql({
+            address: {
+              city: 'X'
+            }
+          });
+        },
+      'should report broken and ambiguous migration chains': async () => {
+        const getChainError = async steps => {
+          const log = [];
+          const chainProcessor = new AsynchronousTypeProcessor({
+            typeMap: {
+              Note: {
+                version: 3,
+                fields: {}
+              }
+            }
+          });
+
+          steps.forEach(([fromVersion, toVersion]) => chainProcessor
+            .registerMigration({
+              typeName: 'Note',
+              fromVersion,
+              toVersion,
+              migrate: async item => {
+                log.push(`${fromVersion}-${toVersion}`);
+
+                return item;
+              }
+            }));
+
+          try {
+            await chainProcessor.migrateItem({
+              item: {},
+              typeName: 'Note'
+            });
+          } catch (error) {
+            return {
+              error,
+              log
+            };
+          }
+        };
+        const ambiguous = await getChainError([[0, 1], [0, 2], [1, 2], [2, 3]]);
+        const broken = await getChainError([[0, 1], [1, 2]]);
+        const { INVALID_MIGRATION_CHAIN } = AsynchronousTypeProcessor
+          .ERROR_MESSAGES;
+
+        expect(ambiguous.error.message).to.equal(INVALID_MIGRATION_CHAIN);
+        expect(ambiguous.error.fromVersion).to.equal(0);
+        expect(ambiguous.log).to.eql([]);
+        expect(broken.error.message).to.equal(INVALID_MIGRATION_CHAIN);
+        expect(broken.error.typeName).to.equal('Note');
+        expect(broken.error.fromVersion).to.equal(2);
+        expect(broken.error.toVersion).to.equal(3);
+      },
+      'should report invalid versions': () => {
+        const typeMap = {
+          Person: {
+            version: '2',
+            fields: {}
+          }
+        };
+
+        expect(new AsynchronousTypeProcessor({
+          typeMap
+        }).validateTypeMap()).to.eql([
+          {
+            path: 'Person.version',
+            code: 'INVALID_TYPE_VERSION',
+            typeName: 'Person'
+          }
+        ]);
+      }
+    },
+    observe: {
+      beforeEach: () => {
+        atp = new AsynchronousTypeProcessor({
+          typeMap: TYPE_MAP,
+          processRemoteValue: async ({ value }) => {
+            if (value === 'BAD') {
+              throw new TypeError('BAD_ADDRESS');
+            }
+
+            return value;
+          }
+        });
+      },
+      'should emit start and end events for each step': async () => {
+        const events = [];
+        const stop = atp.observe(event => events.push(event));
+
+        await atp.processItem({
+          item: {
+            firstName: 'First',
+            address: 'A1'
+          },
+          typeName: 'Contact'
+        });
+        stop();
+
+        expect(events.map(({ type, path }) => `${type}:${path}`)).to.eql([
+          'itemStart:',
+          'fieldStart:firstName',
+          'valueStart:firstName',
+          'valueEnd:firstName',
+          'fieldEnd:firstName',
+          'fieldStart:address',
+          'valueStart:address',
+          'remoteStart:address',
+          'remoteEnd:address',
+          'valueEnd:address',
+          'fieldEnd:address',
+          'itemEnd:'
+        ]);
+
+        const { step, typeName, fieldName, duration } = events[8];
+
+        expect(step).to.equal('remote');
+        expect(typeName).to.equal('Address');
+        expect(fieldName).to.equal('address');
+        expect(duration).to.be.a('number');
+
+        await atp.processValue({
+          value: 'First',
+          typeName: 'String'
+        });
+
+        expect(events.length).to.equal(12);
+      },
+      'should emit error events': async () => {
+        const events = [];
+
+        atp.observe(event => events.push(event));
+        atp.observe(() => {
+          throw new Error('IGNORED');
+        });
+
+        try {
+          await atp.processItem({
+            item: {
+              address: 'BAD'
+            },
+            typeName: 'Contact'
+          });
+        } catch (error) {
+          // Expected.
+        }
+
+        const errorEvents = events.filter(({ type }) => type === 'error');
+
+        expect(errorEvents.map(({ step, error }) => `${step}:${error.message}`))
+          .to.eql([
+            'remote:BAD_ADDRESS',
+            'value:BAD_ADDRESS',
+            'field:BAD_ADDRESS',
+            'item:ITEM_ERROR'
+          ]);
+      }
+    },
+    processValueList: {
+      beforeEach: () => {
+        class DelayedClass extends AsynchronousTypeProcessor {
+          pending = 0;
+          maxPending = 0;
+
+          async processRemoteValue ({ value }) {
+            this.pending++;
+            this.maxPending = Math.max(this.maxPending, this.pending);
+
+            await new Promise(res => setTimeout(res, 10 - value));
+
+            this.pending--;
+
+            if (value === 3) {
+              throw new Error('REMOTE_FAILURE');
+            }
+
+            return value * 2;
+          }
+        }
+
+        extendedInstance = new DelayedClass({
+          typeMap: TYPE_MAP
+        });
+      },
+      'should process one value at a time by default': async () => {
+        const newList = await extendedInstance.processValueList({
+          valueList: [1, 2, 4],
+          typeName: 'Address'
+        });
+
+        expect(newList).to.eql([2, 4, 8]);
+        expect(extendedInstance.maxPending).to.equal(1);
+      },
+      [`should process values in parallel up to the concurrency limit
+      and keep the output order`]: async () => {
+        const newList = await extendedInstance.processValueList({
+          valueList: [1, 2, 4, 5, 6],
+          typeName: 'Address',
+          concurrency: 2
+        });
+
+        expect(newList).to.eql([2, 4, 8, 10, 12]);
+        expect(extendedInstance.maxPending).to.equal(2);
+      },
+      'should aggregate value errors by index': async () => {
+        let error;
+
+        try {
+          await extendedInstance.processValueList({
+            valueList: [1, 3, 4, 3],
+            typeName: 'Address',
+            concurrency: 4
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal(
+          AsynchronousTypeProcessor.ERROR_MESSAGES.VALUE_LIST_ERROR
+        );
+        expect(Object.keys(error.indices)).to.eql(['1', '3']);
       }
     }
   }